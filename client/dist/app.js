@@ -0,0 +1,494 @@
+(function () {
+  'use strict';
+
+  const { el, render, safeImageUrl, t, apiHeaders } = MusicAsk;
+
+  let currentEventId = null;
+  let selectedTrack = null;
+  let acceptedStyles = [];
+  let nowPlaying = null;
+  let myRequests = JSON.parse(localStorage.getItem('myRequests') || '[]');
+  let queue = [];
+  let searchTimeout;
+  let searchResults = [];
+  let lastSearchDegraded = false;
+  let lastSearchUnavailable = false;
+
+  // Link "continuar em outro aparelho": #code=...&guest=... traz a sessão e o evento
+  const handoff = new URLSearchParams(location.hash.slice(1));
+  if (handoff.get('guest')) {
+    localStorage.setItem('guestToken', handoff.get('guest'));
+    if (handoff.get('code')) localStorage.setItem('eventCode', handoff.get('code'));
+    history.replaceState(null, '', location.pathname + location.search);
+  }
+
+  // Link de entrada do evento (QR code do cartaz): /join/<código> entra sem digitar o código
+  const joinMatch = location.pathname.match(/^\/join\/([^/]+)/);
+  const joinCode = joinMatch ? decodeURIComponent(joinMatch[1]) : null;
+  if (joinCode) history.replaceState(null, '', '/' + location.hash);
+
+  let guestToken = localStorage.getItem('guestToken');
+  // Versões antigas geravam o guestId no navegador; ele vai uma vez no validate e vira a sessão
+  const legacyGuestId = localStorage.getItem('guestId');
+
+  const $ = id => document.getElementById(id);
+
+  function api(path, options) {
+    const { method = 'GET', body } = options || {};
+    const headers = body ? { 'Content-Type': 'application/json' } : {};
+    if (guestToken) headers['X-Guest-Token'] = guestToken;
+    return fetch(path, {
+      method,
+      headers: apiHeaders(headers),
+      body: body ? JSON.stringify(body) : undefined
+    }).then(res => res.json());
+  }
+
+  let socket = null;
+  try {
+    socket = typeof io !== 'undefined' ? io() : null;
+    if (socket) {
+      socket.on('request_updated', request => updateMyRequest(request));
+      socket.on('now_playing', request => renderNowPlaying(request));
+      socket.on('queue_updated', request => updateQueue(request));
+      socket.on('event_updated', event => {
+        if (event.id === currentEventId) renderAcceptedStyles(event.acceptedStyles);
+      });
+      // Depois de uma queda, a fila e os status podem ter mudado sem a gente saber
+      socket.on('connect', () => {
+        if (!currentEventId) return;
+        joinEventRoom();
+        loadQueue();
+        loadNowPlaying();
+      });
+    }
+  } catch (e) {
+    // Sem o Socket.IO a página segue funcionando, só sem atualizações em tempo real
+    socket = null;
+  }
+
+  function renderAcceptedStyles(styles) {
+    acceptedStyles = styles || [];
+    const container = $('acceptedStyles');
+    if (acceptedStyles.length === 0) {
+      container.style.display = 'none';
+      return;
+    }
+    container.textContent = t('guest.acceptedStyles', { styles: acceptedStyles.join(', ') });
+    container.style.display = 'block';
+  }
+
+  function joinEventRoom() {
+    if (!socket) return;
+    const eventId = currentEventId;
+    socket.emit('join_guest', { eventId, guestToken }, reply => {
+      if (reply && reply.success && eventId === currentEventId) setMyRequests(eventId, reply.data);
+    });
+  }
+
+  function saveGuestToken(token) {
+    guestToken = token;
+    localStorage.setItem('guestToken', guestToken);
+    localStorage.removeItem('guestId');
+  }
+
+  function validateCode(options) {
+    const silent = options && options.silent;
+    const code = $('eventCode').value.trim();
+    const password = $('eventPassword').value;
+    const body = { code };
+    if (password) body.password = password;
+    if (!guestToken && legacyGuestId) body.guestId = legacyGuestId;
+    api('/api/events/validate', { method: 'POST', body })
+      .then(data => {
+        if (!data.success) {
+          const passwordRequired = Boolean(data.data && data.data.passwordRequired);
+          $('passwordGroup').style.display = passwordRequired ? 'block' : 'none';
+          if (!passwordRequired) localStorage.removeItem('eventCode');
+          // O primeiro aviso de senha não é erro: só abre o campo. Fora do horário do evento
+          // (data.at) o aviso aparece mesmo na revalidação silenciosa
+          const outsideSchedule = Boolean(data.data && data.data.at);
+          if ((!silent || outsideSchedule) && (password || !passwordRequired)) showCodeError(data.message);
+          return;
+        }
+        $('eventPassword').value = '';
+        $('passwordGroup').style.display = 'none';
+        saveGuestToken(data.data.guestToken);
+        localStorage.setItem('eventCode', code);
+        currentEventId = data.data.eventId;
+        // Sem escolha salva e com o idioma do navegador sem suporte, vale o idioma do evento
+        if (!MusicAsk.hasSavedLocale() && !MusicAsk.browserLocale() && data.data.locale) {
+          MusicAsk.setLocale(data.data.locale, false);
+          applyTranslations();
+        }
+        $('eventName').textContent = data.data.eventName || t('guest.event');
+        renderAcceptedStyles(data.data.acceptedStyles);
+        if (data.data.maxTextLength) {
+          $('requesterName').maxLength = data.data.maxTextLength;
+        }
+        if (data.data.maxMessageLength) {
+          $('requestMessage').maxLength = data.data.maxMessageLength;
+        }
+        $('codeForm').style.display = 'none';
+        $('requestForm').style.display = 'block';
+        renderMyRequests();
+        joinEventRoom();
+        loadMyRequests();
+        loadQueue();
+        loadNowPlaying();
+      });
+  }
+
+  function showCodeError(message) {
+    $('codeError').textContent = message || t('guest.invalidCode');
+    $('codeError').style.display = 'block';
+  }
+
+  // Com letras no alfabeto dos códigos (EVENT_CODE_ALPHABET) o teclado numérico não serve
+  function applyCodeFormat(format) {
+    const input = $('eventCode');
+    if (format.numeric) {
+      input.placeholder = '0'.repeat(format.length);
+      return;
+    }
+    input.inputMode = 'text';
+    input.removeAttribute('pattern');
+    input.setAttribute('autocapitalize', 'characters');
+    input.placeholder = '';
+  }
+
+  async function searchTracks(query) {
+    try {
+      const data = await api('/api/search/tracks?q=' + encodeURIComponent(query) + '&eventId=' + encodeURIComponent(currentEventId));
+      searchResults = data.data || [];
+      renderTracks(searchResults, data.degraded, data.unavailable);
+    } catch (error) {
+      console.error('Error searching tracks:', error);
+      searchResults = [];
+      renderTracks(searchResults, true);
+    }
+  }
+
+  function trackThumb(image, className) {
+    const src = safeImageUrl(image);
+    if (src) return el('img', { className, src, alt: '' });
+    return className === 'track-thumb' ? el('div', { className: 'track-thumb placeholder', text: '🎵' }) : null;
+  }
+
+  function renderTracks(tracks, degraded, unavailable = false) {
+    lastSearchDegraded = degraded;
+    lastSearchUnavailable = unavailable;
+    const list = $('trackList');
+    if (unavailable) {
+      render(list, [el('div', { className: 'search-notice', text: t('guest.searchUnavailable') })]);
+      return;
+    }
+    if (tracks.length === 0) {
+      render(list, [degraded
+        ? el('div', { className: 'search-notice', text: t('guest.searchUnstable') })
+        : el('div', { className: 'no-results', text: t('guest.noResults') })]);
+      return;
+    }
+    render(list, [
+      degraded && el('div', { className: 'search-notice', text: t('guest.searchPartial') }),
+      ...tracks.map((track, index) => el('div', { className: 'track-item track-result', onClick: () => selectTrack(index) }, [
+        trackThumb(track.image, 'track-thumb'),
+        el('div', { className: 'track-text' }, [
+          el('div', { className: 'track-name', text: track.name }),
+          el('div', { className: 'artist-name', text: track.artist }),
+          track.styleMatch === false && el('div', { className: 'style-warning', text: t('guest.outOfStyle') })
+        ])
+      ]))
+    ]);
+  }
+
+  function renderSelectedTrack() {
+    if (!selectedTrack) return;
+    render($('selectedTrack'), [
+      el('div', { className: 'track-item' }, [
+        trackThumb(selectedTrack.image, 'selected-thumb'),
+        el('div', { className: 'track-name', text: selectedTrack.name }),
+        el('div', { className: 'artist-name', text: selectedTrack.artist })
+      ]),
+      el('button', { text: t('guest.send'), onClick: submitRequest })
+    ]);
+  }
+
+  function selectTrack(index) {
+    const track = searchResults[index];
+    selectedTrack = {
+      name: track.name,
+      artist: track.artist,
+      image: safeImageUrl(track.image),
+      uri: track.uri
+    };
+    renderSelectedTrack();
+    $('trackList').style.display = 'none';
+    $('selectedTrack').style.display = 'block';
+  }
+
+  function submitRequest() {
+    if (!selectedTrack) return;
+    const requesterName = $('requesterName').value.trim() || t('guest.anonymous');
+    const message = $('requestMessage').value.trim() || null;
+    api('/api/requests', {
+      method: 'POST',
+      body: {
+        eventId: currentEventId,
+        trackName: selectedTrack.name,
+        artistName: selectedTrack.artist,
+        albumImage: selectedTrack.image,
+        trackUri: selectedTrack.uri,
+        requesterName,
+        message
+      }
+    })
+      .then(data => {
+        $('requestError').style.display = 'none';
+        if (!data.success) {
+          $('requestError').textContent = data.message;
+          $('requestError').style.display = 'block';
+          return;
+        }
+        updateMyRequest(data.data);
+        $('searchInput').value = '';
+        $('requestMessage').value = '';
+        $('trackList').replaceChildren();
+        $('trackList').style.display = 'block';
+        $('selectedTrack').style.display = 'none';
+        selectedTrack = null;
+        searchResults = [];
+        alert((data.data.status === 'rejected' ? '✗ ' : '✓ ') + data.message);
+      });
+  }
+
+  const STATUS_BADGES = {
+    pending: { className: 'pending', key: 'guest.status.pending', icon: '⏳' },
+    accepted: { className: 'accepted', key: 'guest.status.accepted', icon: '✓' },
+    rejected: { className: 'rejected', key: 'guest.status.rejected', icon: '✗' },
+    later: { className: 'later', key: 'guest.status.later', icon: '⏰' },
+    now_playing: { className: 'playing', key: 'guest.status.nowPlaying', icon: '🔊' },
+    played: { className: 'played', key: 'guest.status.played', icon: '🎶' }
+  };
+
+  function statusBadge(status) {
+    if (String(status).startsWith('later')) return STATUS_BADGES.later;
+    return STATUS_BADGES[status] || STATUS_BADGES.pending;
+  }
+
+  function renderMyRequests() {
+    const eventRequests = myRequests.filter(r => r.eventId === currentEventId);
+    if (eventRequests.length === 0) {
+      $('myRequests').replaceChildren();
+      return;
+    }
+    render($('myRequests'), [
+      el('h3', { text: t('guest.myRequests') }),
+      ...eventRequests.map(r => {
+        const badge = statusBadge(r.status);
+        return el('div', { className: 'status ' + badge.className, id: 'req-' + r.id }, [
+          el('div', { className: 'track-name', text: r.trackName }),
+          el('div', { className: 'artist-name', text: r.artistName }),
+          el('div', { className: 'status-badge ' + badge.className, text: badge.icon + ' ' + t(badge.key) })
+        ]);
+      })
+    ]);
+  }
+
+  function saveMyRequests() {
+    localStorage.setItem('myRequests', JSON.stringify(myRequests));
+    renderMyRequests();
+  }
+
+  // A lista do servidor é a verdade: troca o que estava guardado no aparelho para o evento
+  function setMyRequests(eventId, requests) {
+    myRequests = myRequests.filter(r => r.eventId !== eventId).concat(requests);
+    saveMyRequests();
+  }
+
+  function loadMyRequests() {
+    const eventId = currentEventId;
+    api('/api/events/' + encodeURIComponent(eventId) + '/my-requests')
+      .then(data => {
+        if (data.success && eventId === currentEventId) setMyRequests(eventId, data.data);
+      });
+  }
+
+  // Pedidos feitos em outro aparelho do mesmo convidado também chegam por aqui
+  function updateMyRequest(request) {
+    const idx = myRequests.findIndex(r => r.id === request.id);
+    if (idx === -1) {
+      if (request.eventId !== currentEventId) return;
+      myRequests.push(request);
+    } else {
+      if (request.status === 'now_playing' && myRequests[idx].status !== 'now_playing') {
+        alert('🔊 ' + t('guest.nowPlaying', { track: request.trackName }));
+      }
+      myRequests[idx] = request;
+    }
+    saveMyRequests();
+  }
+
+  function loadNowPlaying() {
+    api('/api/events/' + encodeURIComponent(currentEventId) + '/now-playing')
+      .then(data => {
+        if (data.success) renderNowPlaying(data.data);
+      });
+  }
+
+  function renderNowPlaying(request) {
+    const container = $('nowPlaying');
+    nowPlaying = request;
+    if (!request || request.eventId !== currentEventId) {
+      container.style.display = 'none';
+      return;
+    }
+    container.textContent = '🔊 ' + t('guest.nowPlaying', {
+      track: request.trackName + (request.artistName ? ' - ' + request.artistName : '')
+    }) + (request.dedications || []).map(d => ' · 💬 ' + dedicationText(d)).join('');
+    container.style.display = 'block';
+  }
+
+  function loadQueue() {
+    api('/api/events/' + encodeURIComponent(currentEventId) + '/queue')
+      .then(data => {
+        if (data.success) {
+          queue = data.data;
+          renderQueue();
+        }
+      });
+  }
+
+  function updateQueue(request) {
+    if (request.eventId !== currentEventId) return;
+    const idx = queue.findIndex(r => r.id === request.id);
+    const mine = myRequests.some(r => r.id === request.id);
+    if (request.status !== 'pending') {
+      if (idx !== -1) queue.splice(idx, 1);
+    } else if (idx === -1) {
+      queue.push({ ...request, hasVoted: mine });
+    } else {
+      queue[idx] = { ...request, hasVoted: queue[idx].hasVoted || mine };
+    }
+    queue.sort((a, b) => b.votes - a.votes || a.requestedAt - b.requestedAt);
+    renderQueue();
+  }
+
+  // Só chegam dedicatórias que o DJ (ou o filtro) já liberou
+  function dedicationText(dedication) {
+    return dedication.name + ': ' + dedication.message;
+  }
+
+  function renderQueue() {
+    if (queue.length === 0) {
+      $('queue').replaceChildren();
+      return;
+    }
+    render($('queue'), [
+      el('h3', { text: t('guest.queue') }),
+      ...queue.map(r => el('div', { className: 'queue-item' }, [
+        el('div', { className: 'queue-info' }, [
+          el('div', { className: 'track-name', text: r.trackName }),
+          el('div', { className: 'artist-name', text: r.artistName }),
+          ...(r.dedications || []).map(d => el('div', { className: 'dedication', text: '💬 ' + dedicationText(d) }))
+        ]),
+        el('button', {
+          className: 'vote-btn' + (r.hasVoted ? ' voted' : ''),
+          text: '👍 ' + r.votes,
+          onClick: () => toggleVote(r.id)
+        })
+      ]))
+    ]);
+  }
+
+  function toggleVote(requestId) {
+    const item = queue.find(r => r.id === requestId);
+    if (!item) return;
+    api('/api/requests/' + encodeURIComponent(requestId) + '/vote', {
+      method: item.hasVoted ? 'DELETE' : 'POST'
+    })
+      .then(data => {
+        if (data.data) {
+          Object.assign(item, data.data);
+          renderQueue();
+        }
+      });
+  }
+
+  function goBack() {
+    $('codeForm').style.display = 'block';
+    $('requestForm').style.display = 'none';
+    $('eventCode').value = '';
+    localStorage.removeItem('eventCode');
+    currentEventId = null;
+  }
+
+  function shareWithOtherDevice() {
+    const link = location.origin + '/#' + new URLSearchParams({ code: localStorage.getItem('eventCode') || '', guest: guestToken });
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(link)
+        .then(() => alert(t('guest.otherDeviceCopied')))
+        .catch(() => prompt(t('guest.otherDevicePrompt'), link));
+    } else {
+      prompt(t('guest.otherDevicePrompt'), link);
+    }
+  }
+
+  function applyTranslations() {
+    MusicAsk.translatePage();
+    $('languageSelect').value = MusicAsk.getLocale();
+    $('languageSelect').setAttribute('aria-label', t('guest.language'));
+    if (!currentEventId) return;
+    renderAcceptedStyles(acceptedStyles);
+    renderNowPlaying(nowPlaying);
+    renderMyRequests();
+    renderQueue();
+    renderSelectedTrack();
+    if ($('trackList').hasChildNodes()) renderTracks(searchResults, lastSearchDegraded, lastSearchUnavailable);
+  }
+
+  $('enterButton').addEventListener('click', () => validateCode());
+  $('backButton').addEventListener('click', goBack);
+  $('otherDeviceButton').addEventListener('click', shareWithOtherDevice);
+  $('languageSelect').addEventListener('change', function () {
+    MusicAsk.setLocale(this.value);
+    applyTranslations();
+  });
+  $('eventCode').addEventListener('input', () => {
+    $('codeError').style.display = 'none';
+  });
+  $('eventCode').addEventListener('keypress', e => {
+    if (e.key === 'Enter') validateCode();
+  });
+  $('eventPassword').addEventListener('keypress', e => {
+    if (e.key === 'Enter') validateCode();
+  });
+  $('searchInput').addEventListener('input', function () {
+    clearTimeout(searchTimeout);
+    const query = this.value.trim();
+    if (query.length < 2) {
+      $('trackList').replaceChildren();
+      searchResults = [];
+      return;
+    }
+    searchTimeout = setTimeout(() => searchTracks(query), 500);
+  });
+
+  api('/api/events/code-format')
+    .then(data => {
+      if (data.success) applyCodeFormat(data.data);
+    })
+    .catch(error => console.error('Error loading code format:', error));
+
+  MusicAsk.loadMessages('guest')
+    .then(applyTranslations)
+    .catch(error => console.error('Error loading translations:', error))
+    .then(() => {
+      // Sem link de entrada, volta direto para o último evento depois de recarregar a página
+      const code = joinCode || localStorage.getItem('eventCode');
+      if (code) {
+        $('eventCode').value = code;
+        validateCode({ silent: !joinCode });
+      }
+    });
+})();
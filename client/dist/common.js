@@ -0,0 +1,108 @@
+// Utilitários das páginas em client/dist (convidado e painel do DJ)
+window.MusicAsk = (function () {
+  'use strict';
+
+  const DEFAULT_LOCALE = 'pt-BR';
+  let messages = {};
+  let locale = DEFAULT_LOCALE;
+
+  // Todo texto vindo da API entra como textContent; nada de montar HTML com dados do usuário
+  function el(tag, props, children) {
+    const node = document.createElement(tag);
+    Object.entries(props || {}).forEach(([key, value]) => {
+      if (value === undefined || value === null || value === false) return;
+      if (key === 'text') node.textContent = value;
+      else if (key === 'className') node.className = value;
+      else if (key === 'onClick') node.addEventListener('click', value);
+      else node.setAttribute(key, value);
+    });
+    (children || []).filter(Boolean).forEach(child => node.appendChild(child));
+    return node;
+  }
+
+  function render(container, nodes) {
+    container.replaceChildren(...nodes.filter(Boolean));
+  }
+
+  // Capas só de http(s); qualquer outra coisa vira o ícone padrão
+  function safeImageUrl(url) {
+    return typeof url === 'string' && /^https?:\/\//i.test(url) ? url : null;
+  }
+
+  function matchLocale(tag) {
+    if (!tag) return null;
+    const locales = Object.keys(messages);
+    const lower = String(tag).toLowerCase();
+    return locales.find(l => l.toLowerCase() === lower) ||
+      locales.find(l => l.toLowerCase().split('-')[0] === lower.split('-')[0]) || null;
+  }
+
+  function browserLocale() {
+    return (navigator.languages || [navigator.language]).map(matchLocale).find(Boolean) || null;
+  }
+
+  function t(key, params) {
+    let text = (messages[locale] || {})[key] || (messages[DEFAULT_LOCALE] || {})[key] || key;
+    Object.keys(params || {}).forEach(name => {
+      text = text.split('{' + name + '}').join(params[name]);
+    });
+    return text;
+  }
+
+  function getLocale() {
+    return locale;
+  }
+
+  // save = false para trocar sem guardar como escolha do usuário (ex.: idioma do evento)
+  function setLocale(value, save = true) {
+    locale = matchLocale(value) || locale;
+    if (save) localStorage.setItem('locale', locale);
+    return locale;
+  }
+
+  function hasSavedLocale() {
+    return Boolean(matchLocale(localStorage.getItem('locale')));
+  }
+
+  // Idioma escolhido no seletor; sem escolha, o do navegador; sem suporte, o padrão
+  function loadMessages(page) {
+    return fetch('/api/i18n/' + page)
+      .then(res => res.json())
+      .then(data => {
+        messages = data.data || {};
+        locale = matchLocale(localStorage.getItem('locale')) || browserLocale() || DEFAULT_LOCALE;
+        return locale;
+      });
+  }
+
+  // Marca estática: data-i18n troca o texto, data-i18n-placeholder o placeholder
+  function translatePage() {
+    document.documentElement.lang = locale;
+    document.querySelectorAll('[data-i18n]').forEach(node => {
+      node.textContent = t(node.dataset.i18n);
+    });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(node => {
+      node.placeholder = t(node.dataset.i18nPlaceholder);
+    });
+  }
+
+  function apiHeaders(headers) {
+    return Object.assign({ 'Accept-Language': locale }, headers);
+  }
+
+  return {
+    DEFAULT_LOCALE,
+    el,
+    render,
+    safeImageUrl,
+    matchLocale,
+    browserLocale,
+    t,
+    getLocale,
+    setLocale,
+    hasSavedLocale,
+    loadMessages,
+    translatePage,
+    apiHeaders
+  };
+})();
@@ -0,0 +1,563 @@
+(function () {
+  'use strict';
+
+  const { el, render, safeImageUrl, t, apiHeaders } = MusicAsk;
+
+  const LATER_STATUSES = ['later_5_15', 'later_15_30', 'later_30_plus'];
+  const FILTERS = ['pending', 'accepted', 'later', 'now_playing', 'played', 'rejected', 'all'];
+
+  // Botões de cada status, seguindo as transições aceitas pelo PATCH /api/requests/:requestId
+  const ACTIONS = {
+    pending: ['accepted', 'rejected', ...LATER_STATUSES],
+    accepted: ['now_playing', 'rejected', ...LATER_STATUSES],
+    rejected: ['accepted'],
+    now_playing: ['played'],
+    played: []
+  };
+  LATER_STATUSES.forEach(status => {
+    ACTIONS[status] = ['accepted', 'now_playing', 'rejected'];
+  });
+
+  const ACTION_BUTTONS = {
+    accepted: { className: 'accept', key: 'dj.accept' },
+    rejected: { className: 'reject', key: 'dj.reject' },
+    later_5_15: { className: 'later', key: 'dj.later_5_15' },
+    later_15_30: { className: 'later', key: 'dj.later_15_30' },
+    later_30_plus: { className: 'later', key: 'dj.later_30_plus' },
+    now_playing: { className: 'accept', key: 'dj.playNow' },
+    played: { className: '', key: 'dj.markPlayed' }
+  };
+
+  let token = localStorage.getItem('djToken');
+  let socket = null;
+  let events = [];
+  let currentEvent = null;
+  let filter = 'pending';
+  let requests = [];
+  let stats = null;
+  let statsTimeout;
+  let share = null;
+
+  const $ = id => document.getElementById(id);
+
+  function showError(id, message) {
+    $(id).textContent = message || '';
+    $(id).style.display = message ? 'block' : 'none';
+  }
+
+  function api(path, options) {
+    const { method = 'GET', body } = options || {};
+    const headers = apiHeaders(body ? { 'Content-Type': 'application/json' } : {});
+    if (token) headers.Authorization = 'Bearer ' + token;
+    return fetch(path, { method, headers, body: body ? JSON.stringify(body) : undefined })
+      .then(res => res.json().then(data => {
+        if (res.status === 401 && token) logout();
+        return data;
+      }));
+  }
+
+  function showView(view) {
+    ['loginView', 'eventsView', 'eventView'].forEach(id => {
+      $(id).style.display = id === view ? 'block' : 'none';
+    });
+    $('logoutButton').style.display = view === 'loginView' ? 'none' : 'inline-block';
+  }
+
+  function connectSocket() {
+    if (socket || typeof io === 'undefined') return;
+    socket = io({ auth: { token, locale: MusicAsk.getLocale() } });
+    socket.on('connect', () => {
+      showError('connectionNotice', null);
+      // Depois de cair, entra de novo na sala e recarrega o que pode ter chegado no intervalo
+      if (currentEvent) joinEvent();
+    });
+    socket.on('disconnect', () => {
+      if (token) $('connectionNotice').style.display = 'block';
+    });
+    socket.on('new_request', request => upsertRequest(request));
+    socket.on('request_updated', request => upsertRequest(request));
+    socket.on('later_reminder', request => upsertRequest(request));
+    socket.on('event_updated', event => updateEvent(event));
+    socket.on('event_ended', event => updateEvent(event));
+    socket.on('event_created', event => updateEvent(event));
+  }
+
+  function login(e) {
+    e.preventDefault();
+    api('/api/auth/login', {
+      method: 'POST',
+      body: { username: $('username').value, password: $('password').value }
+    }).then(data => {
+      if (!data.success) return showError('loginError', data.message);
+      token = data.data.token;
+      localStorage.setItem('djToken', token);
+      $('password').value = '';
+      showError('loginError', null);
+      start();
+    });
+  }
+
+  function logout() {
+    if (token) api('/api/auth/logout', { method: 'POST' });
+    token = null;
+    localStorage.removeItem('djToken');
+    currentEvent = null;
+    if (socket) {
+      socket.disconnect();
+      socket = null;
+    }
+    showError('connectionNotice', null);
+    showView('loginView');
+  }
+
+  function start() {
+    connectSocket();
+    loadEvents();
+  }
+
+  function loadEvents() {
+    showView('eventsView');
+    api('/api/events/mine').then(data => {
+      if (!data.success) return showError('eventsError', data.message);
+      events = data.data;
+      renderEvents();
+    });
+  }
+
+  // Agendado e ainda esperando a hora de abrir (mesma regra do servidor)
+  function isUpcoming(event) {
+    return Boolean(event.startsAt && !event.active && !event.startedAt && !event.endedAt);
+  }
+
+  function eventStatus(event) {
+    if (event.active) return '';
+    if (isUpcoming(event)) {
+      return ' · ' + t('dj.eventStartsAt', { time: new Date(event.startsAt).toLocaleString(MusicAsk.getLocale()) });
+    }
+    return ' · ' + t('dj.eventEnded');
+  }
+
+  // Os campos datetime-local trabalham no horário do navegador, que vai junto como timeZone
+  const browserTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+  function toLocalInput(timestamp) {
+    if (!timestamp) return '';
+    const offset = new Date(timestamp).getTimezoneOffset() * 60000;
+    return new Date(timestamp - offset).toISOString().slice(0, 16);
+  }
+
+  function renderEvents() {
+    if (events.length === 0) {
+      render($('eventList'), [el('p', { className: 'request-meta', text: t('dj.noEvents') })]);
+      return;
+    }
+    const isOpen = event => event.active || isUpcoming(event);
+    render($('eventList'), events.map(event => el('div', { className: 'event-row' + (isOpen(event) ? '' : ' ended') }, [
+      el('div', {}, [
+        el('div', { className: 'track-name', text: event.name }),
+        el('div', {
+          className: 'artist-name',
+          text: t('dj.eventCode', { code: event.code }) + eventStatus(event)
+        })
+      ]),
+      el('button', { className: 'small-btn', text: '→', 'aria-label': event.name, onClick: () => openEvent(event) })
+    ])));
+  }
+
+  function createEvent(e) {
+    e.preventDefault();
+    const name = $('newEventName').value.trim();
+    const body = name ? { name } : {};
+    const startsAt = $('newEventStartsAt').value;
+    const endsAt = $('newEventEndsAt').value;
+    if (startsAt || endsAt) body.timeZone = browserTimeZone;
+    if (startsAt) body.startsAt = startsAt;
+    if (endsAt) body.endsAt = endsAt;
+    api('/api/events', { method: 'POST', body }).then(data => {
+      if (!data.success) return showError('eventsError', data.message);
+      showError('eventsError', null);
+      $('newEventName').value = '';
+      $('newEventStartsAt').value = '';
+      $('newEventEndsAt').value = '';
+      updateEvent(data.data);
+    });
+  }
+
+  function updateEvent(event) {
+    const idx = events.findIndex(e => e.id === event.id);
+    if (idx === -1) events.unshift(event);
+    else events[idx] = { ...events[idx], ...event };
+    renderEvents();
+    if (currentEvent && currentEvent.id === event.id) {
+      currentEvent = { ...currentEvent, ...event };
+      renderEventHeader();
+      renderRequests();
+    }
+  }
+
+  function openEvent(event) {
+    currentEvent = event;
+    filter = 'pending';
+    requests = [];
+    stats = null;
+    share = null;
+    showView('eventView');
+    renderEventHeader();
+    fillSettings();
+    renderFilters();
+    renderRequests();
+    renderStats();
+    joinEvent();
+    loadShare();
+  }
+
+  function joinEvent() {
+    if (socket) {
+      socket.emit('join_dj', { eventId: currentEvent.id, token }, ack => {
+        if (ack && !ack.success) showError('requestsError', ack.message);
+      });
+    }
+    loadRequests();
+    loadStats();
+  }
+
+  function loadShare() {
+    if (!currentEvent.active && !isUpcoming(currentEvent)) return;
+    const eventId = currentEvent.id;
+    api('/api/events/' + encodeURIComponent(eventId) + '/share').then(data => {
+      if (!data.success || !currentEvent || currentEvent.id !== eventId) return;
+      share = data.data;
+      renderShare();
+    });
+  }
+
+  // Link de entrada, QR code para projetar ou baixar e o cartaz para imprimir
+  function renderShare() {
+    $('sharePanel').style.display = (currentEvent.active || isUpcoming(currentEvent)) && share ? 'block' : 'none';
+    if (!share) return;
+    const link = (href, key, download) => el('a', { href, target: '_blank', rel: 'noopener', download, text: t(key) });
+    // posterUrl já vem com ?key=, então o idioma entra como mais um parâmetro
+    const posterUrl = new URL(share.posterUrl, location.href);
+    posterUrl.searchParams.set('lang', MusicAsk.getLocale());
+    render($('shareContent'), [
+      el('img', { className: 'share-qr', src: share.qrCode.svg, alt: t('dj.qrCode') }),
+      el('a', { className: 'share-link', href: share.joinUrl, target: '_blank', rel: 'noopener', text: share.joinUrl }),
+      el('div', { className: 'share-actions' }, [
+        link(posterUrl.href, 'dj.poster'),
+        link(share.qrCode.png, 'dj.qrPng', 'musicask-' + share.code + '.png'),
+        link(share.qrCode.svg, 'dj.qrSvg', 'musicask-' + share.code + '.svg')
+      ])
+    ]);
+  }
+
+  function renderEventHeader() {
+    $('eventTitle').textContent = currentEvent.name;
+    $('eventCode').textContent = t('dj.eventCode', { code: currentEvent.code }) + eventStatus(currentEvent);
+    $('endEventButton').style.display = currentEvent.active || isUpcoming(currentEvent) ? 'inline-block' : 'none';
+    renderShare();
+  }
+
+  function fillSettings() {
+    $('settingsName').value = currentEvent.name || '';
+    $('settingsStyles').value = (currentEvent.acceptedStyles || []).join(', ');
+    $('settingsPassword').value = '';
+    $('settingsStartsAt').value = toLocalInput(currentEvent.startsAt);
+    $('settingsEndsAt').value = toLocalInput(currentEvent.endsAt);
+    $('settingsCloseBeforeEnd').value = closeBeforeEnd(currentEvent);
+    const moderation = currentEvent.moderation || {};
+    $('settingsRequireApproval').checked = Boolean(moderation.requireApproval);
+    $('settingsFilterProfanity').checked = moderation.filterProfanity !== false;
+    $('settingsBlockedTerms').value = (moderation.blockedTerms || []).join(', ');
+    renderPasswordSetting();
+    showError('settingsError', null);
+  }
+
+  // A senha nunca volta da API; só sabemos se existe (hasPassword)
+  function renderPasswordSetting() {
+    $('settingsPassword').placeholder = currentEvent.hasPassword ? t('dj.passwordKeep') : '';
+    $('removePasswordButton').style.display = currentEvent.hasPassword ? 'inline-block' : 'none';
+  }
+
+  function saveSettings(e) {
+    e.preventDefault();
+    const acceptedStyles = $('settingsStyles').value.split(',').map(s => s.trim()).filter(Boolean);
+    const body = { name: $('settingsName').value.trim(), acceptedStyles };
+    if ($('settingsPassword').value) body.password = $('settingsPassword').value;
+    // Só manda o horário que mudou: um fim que já passou barraria salvar o resto
+    const startsAt = $('settingsStartsAt').value;
+    const endsAt = $('settingsEndsAt').value;
+    if (startsAt !== toLocalInput(currentEvent.startsAt)) body.startsAt = startsAt || null;
+    if (endsAt !== toLocalInput(currentEvent.endsAt)) body.endsAt = endsAt || null;
+    if (body.startsAt || body.endsAt) body.timeZone = browserTimeZone;
+    body.moderation = {
+      requireApproval: $('settingsRequireApproval').checked,
+      filterProfanity: $('settingsFilterProfanity').checked,
+      blockedTerms: $('settingsBlockedTerms').value.split(',').map(s => s.trim()).filter(Boolean)
+    };
+    const minutes = $('settingsCloseBeforeEnd').value;
+    if (minutes !== closeBeforeEnd(currentEvent)) {
+      body.requestWindow = { closeBeforeEndMinutes: minutes === '' ? null : Number(minutes) };
+    }
+    patchEvent(body);
+  }
+
+  function closeBeforeEnd(event) {
+    const minutes = event.requestWindow && event.requestWindow.closeBeforeEndMinutes;
+    return minutes === null || minutes === undefined ? '' : String(minutes);
+  }
+
+  function removePassword() {
+    patchEvent({ password: null });
+  }
+
+  function patchEvent(body) {
+    api('/api/events/' + encodeURIComponent(currentEvent.id), { method: 'PATCH', body }).then(data => {
+      if (!data.success) return showError('settingsError', data.message);
+      showError('settingsError', null);
+      updateEvent(data.data);
+      fillSettings();
+    });
+  }
+
+  function endEvent() {
+    if (!confirm(t('dj.confirmEnd'))) return;
+    api('/api/events/' + encodeURIComponent(currentEvent.id) + '/end', { method: 'POST' }).then(data => {
+      if (!data.success) return showError('settingsError', data.message);
+      updateEvent(data.data);
+    });
+  }
+
+  function matchesFilter(request) {
+    if (filter === 'all') return true;
+    if (filter === 'later') return LATER_STATUSES.includes(request.status);
+    return request.status === filter;
+  }
+
+  // Pendentes em ordem de votos (a fila que o DJ vai atender), "mais tarde" pelo horário
+  // combinado e o resto do mais novo para o mais antigo
+  function sortRequests() {
+    requests.sort((a, b) => {
+      if (filter === 'pending') return (b.votes || 1) - (a.votes || 1) || a.requestedAt - b.requestedAt;
+      if (filter === 'later') return (a.laterDueAt || 0) - (b.laterDueAt || 0);
+      return b.requestedAt - a.requestedAt;
+    });
+  }
+
+  function loadRequests() {
+    const query = filter === 'all' ? '' : '?status=' + encodeURIComponent(filter);
+    const eventId = currentEvent.id;
+    api('/api/events/' + encodeURIComponent(eventId) + '/requests' + query).then(data => {
+      if (!currentEvent || currentEvent.id !== eventId) return;
+      if (!data.success) return showError('requestsError', data.message);
+      showError('requestsError', null);
+      requests = data.data;
+      sortRequests();
+      renderRequests();
+    });
+  }
+
+  function upsertRequest(request) {
+    if (!currentEvent || request.eventId !== currentEvent.id) return;
+    const idx = requests.findIndex(r => r.id === request.id);
+    if (!matchesFilter(request)) {
+      if (idx !== -1) requests.splice(idx, 1);
+    } else if (idx === -1) {
+      requests.push(request);
+    } else {
+      requests[idx] = request;
+    }
+    sortRequests();
+    renderRequests();
+    scheduleStats();
+  }
+
+  function setStatus(request, status) {
+    api('/api/requests/' + encodeURIComponent(request.id), { method: 'PATCH', body: { status } }).then(data => {
+      if (!data.success) return showError('requestsError', data.message);
+      showError('requestsError', null);
+      upsertRequest(data.data);
+    });
+  }
+
+  function moderateMessage(request, index, status) {
+    const path = '/api/requests/' + encodeURIComponent(request.id) + '/messages/' + index;
+    api(path, { method: 'PATCH', body: { status } }).then(data => {
+      if (!data.success) return showError('requestsError', data.message);
+      showError('requestsError', null);
+      upsertRequest(data.data);
+    });
+  }
+
+  // Recados de quem pediu, com o estado da moderação; os do filtro aparecem destacados
+  function requestMessages(request) {
+    return (request.requesters || []).map((requester, index) => {
+      if (!requester.message && !requester.flagged) return null;
+      const status = requester.messageStatus || 'approved';
+      const notes = [
+        status === 'pending' && t('dj.messagePending'),
+        status === 'hidden' && t('dj.messageHidden'),
+        requester.flagged && t('dj.messageFlagged')
+      ].filter(Boolean);
+      return el('div', { className: 'request-message' + (requester.flagged ? ' flagged' : '') }, [
+        el('span', {
+          className: 'dedication',
+          text: '💬 ' + requester.name + (requester.message ? ': ' + requester.message : '') +
+            (notes.length > 0 ? ' (' + notes.join(', ') + ')' : '')
+        }),
+        status !== 'approved' && el('button', {
+          className: 'small-btn',
+          text: t('dj.approveMessage'),
+          onClick: () => moderateMessage(request, index, 'approved')
+        }),
+        status !== 'hidden' && requester.message && el('button', {
+          className: 'small-btn',
+          text: t('dj.hideMessage'),
+          onClick: () => moderateMessage(request, index, 'hidden')
+        })
+      ]);
+    });
+  }
+
+  function renderFilters() {
+    render($('statusFilters'), FILTERS.map(name => el('button', {
+      className: 'small-btn' + (name === filter ? ' active' : ''),
+      text: t('dj.filter.' + name),
+      onClick: () => {
+        filter = name;
+        renderFilters();
+        loadRequests();
+      }
+    })));
+  }
+
+  function statusLabel(status) {
+    return t('dj.status.' + (LATER_STATUSES.includes(status) ? 'later' : status));
+  }
+
+  function requestMeta(request) {
+    const names = (request.requesters || []).map(r => r.name).filter(Boolean);
+    return [
+      statusLabel(request.status),
+      (request.votes || 1) === 1 ? t('dj.oneVote') : t('dj.votes', { count: request.votes }),
+      names.length > 0 ? t('dj.requestedBy', { names: [...new Set(names)].join(', ') }) : null,
+      new Date(request.requestedAt).toLocaleTimeString(MusicAsk.getLocale(), { hour: '2-digit', minute: '2-digit' })
+    ].filter(Boolean).join(' · ');
+  }
+
+  // Vale para o que veio da lista, do later_reminder e do request_updated
+  function isLaterDue(request) {
+    return LATER_STATUSES.includes(request.status) && Boolean(request.laterDueAt) && request.laterDueAt <= Date.now();
+  }
+
+  function renderRequests() {
+    if (requests.length === 0) {
+      render($('requestList'), [el('p', { className: 'request-meta', text: t('dj.noRequests') })]);
+      return;
+    }
+    const active = currentEvent.active;
+    render($('requestList'), requests.map(request => {
+      const image = safeImageUrl(request.albumImage);
+      const due = isLaterDue(request);
+      return el('div', { className: 'request-row' + (due ? ' due' : '') }, [
+        image
+          ? el('img', { className: 'track-thumb', src: image, alt: '' })
+          : el('div', { className: 'track-thumb placeholder', text: '🎵' }),
+        el('div', { className: 'request-info' }, [
+          el('div', { className: 'track-name', text: request.trackName }),
+          el('div', { className: 'artist-name', text: request.artistName }),
+          el('div', { className: 'request-meta', text: requestMeta(request) }),
+          ...requestMessages(request),
+          request.styleMatch === false && el('div', { className: 'style-warning', text: t('dj.outOfStyle') }),
+          due && el('div', { className: 'style-warning', text: t('dj.laterDue') }),
+          active && el('div', { className: 'request-actions' }, (ACTIONS[request.status] || []).map(status => el('button', {
+            className: 'small-btn ' + ACTION_BUTTONS[status].className,
+            text: t(ACTION_BUTTONS[status].key),
+            onClick: () => setStatus(request, status)
+          })))
+        ])
+      ]);
+    }));
+  }
+
+  function loadStats() {
+    const eventId = currentEvent.id;
+    api('/api/events/' + encodeURIComponent(eventId) + '/stats').then(data => {
+      if (!currentEvent || currentEvent.id !== eventId || !data.success) return;
+      stats = data.data;
+      renderStats();
+    });
+  }
+
+  // Vários pedidos chegando juntos viram uma só atualização das estatísticas
+  function scheduleStats() {
+    clearTimeout(statsTimeout);
+    statsTimeout = setTimeout(() => {
+      if (currentEvent) loadStats();
+    }, 1000);
+  }
+
+  function renderStats() {
+    if (!stats) {
+      $('statsPanel').replaceChildren();
+      return;
+    }
+    const rate = stats.acceptanceRate === null ? '—' : Math.round(stats.acceptanceRate * 100) + '%';
+    const numbers = [
+      ['dj.stats.total', stats.totalRequests],
+      ['dj.stats.accepted', stats.acceptedRequests],
+      ['dj.stats.rejected', stats.rejectedRequests],
+      ['dj.stats.later', stats.laterRequests],
+      ['dj.stats.played', stats.playedRequests],
+      ['dj.stats.acceptanceRate', rate]
+    ];
+    render($('statsPanel'), [
+      el('div', { className: 'stats-grid' }, numbers.map(([key, value]) => el('div', {}, [
+        el('strong', { text: String(value) }),
+        el('span', { text: t(key) })
+      ]))),
+      stats.topTracks.length > 0 && el('h3', { text: t('dj.topTracks') }),
+      ...stats.topTracks.slice(0, 5).map((track, index) => el('div', {
+        className: 'top-track',
+        text: (index + 1) + '. ' + track.trackName + ' - ' + track.artistName + ' (' + track.count + ')'
+      }))
+    ]);
+  }
+
+  function applyTranslations() {
+    MusicAsk.translatePage();
+    $('languageSelect').value = MusicAsk.getLocale();
+    renderEvents();
+    if (!currentEvent) return;
+    renderEventHeader();
+    renderPasswordSetting();
+    renderFilters();
+    renderRequests();
+    renderStats();
+  }
+
+  $('loginForm').addEventListener('submit', login);
+  $('logoutButton').addEventListener('click', logout);
+  $('createEventForm').addEventListener('submit', createEvent);
+  $('settingsForm').addEventListener('submit', saveSettings);
+  $('removePasswordButton').addEventListener('click', removePassword);
+  $('endEventButton').addEventListener('click', endEvent);
+  $('backButton').addEventListener('click', () => {
+    currentEvent = null;
+    loadEvents();
+  });
+  $('languageSelect').addEventListener('change', function () {
+    MusicAsk.setLocale(this.value);
+    applyTranslations();
+  });
+
+  MusicAsk.loadMessages('dj')
+    .then(() => {
+      applyTranslations();
+      if (!token) return showView('loginView');
+      api('/api/auth/me').then(data => {
+        if (data.success) start();
+        else logout();
+      });
+    })
+    .catch(error => console.error('Error loading translations:', error));
+})();
@@ -0,0 +1,149 @@
+const { getVotes } = require('./requests');
+const { artistKey } = require('./trackIdentity');
+const { ACCEPTED_STATUSES, countTopTracks, getAcceptanceRate, getEventStats } = require('./eventStats');
+
+const BUCKET_MINUTES = [5, 10, 15, 30, 60];
+const DEFAULT_BUCKET_MINUTES = 15;
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+// Pedidos por faixa de horário, sem buracos: faixas sem pedido aparecem com zero.
+// Os limites caem em múltiplos do tamanho da faixa (22:00, 22:15...), em qualquer fuso
+// cujo deslocamento seja múltiplo de 15 minutos.
+function getTimeline(requests, bucketMinutes = DEFAULT_BUCKET_MINUTES) {
+  if (requests.length === 0) return [];
+
+  const size = bucketMinutes * 60 * 1000;
+  const times = requests.map(r => r.requestedAt);
+  const first = Math.floor(Math.min(...times) / size) * size;
+  const last = Math.floor(Math.max(...times) / size) * size;
+
+  const buckets = new Map();
+  for (let start = first; start <= last; start += size) {
+    buckets.set(start, { start, end: start + size, requests: 0, accepted: 0, rejected: 0 });
+  }
+  requests.forEach(r => {
+    const bucket = buckets.get(Math.floor(r.requestedAt / size) * size);
+    bucket.requests++;
+    if (ACCEPTED_STATUSES.includes(r.status)) bucket.accepted++;
+    if (r.status === 'rejected') bucket.rejected++;
+  });
+  return [...buckets.values()];
+}
+
+// Tempo até o DJ responder. Recusas automáticas por estilo não contam.
+function getResponseTimes(requests) {
+  const times = requests
+    .filter(r => r.respondedAt && !r.autoRejected)
+    .map(r => r.respondedAt - r.requestedAt)
+    .filter(ms => ms >= 0);
+  return { count: times.length, medianMs: median(times) };
+}
+
+// "Chitãozinho & Xororó" e "Xororó, Chitãozinho" são o mesmo artista; exibimos o primeiro nome visto
+function groupByArtist(requests) {
+  const artists = new Map();
+  requests.forEach(r => {
+    const key = artistKey(r.artistName);
+    if (!artists.has(key)) artists.set(key, { artistName: r.artistName || '', requests: [] });
+    artists.get(key).requests.push(r);
+  });
+  return [...artists.values()];
+}
+
+function getTopArtists(requests, limit = 10) {
+  return groupByArtist(requests)
+    .map(({ artistName, requests: artistRequests }) => ({
+      artistName,
+      requests: artistRequests.length,
+      count: artistRequests.reduce((total, r) => total + getVotes(r), 0)
+    }))
+    .sort((a, b) => b.count - a.count || b.requests - a.requests)
+    .slice(0, limit);
+}
+
+function getAcceptanceByArtist(requests, limit = 20) {
+  return groupByArtist(requests)
+    .map(({ artistName, requests: artistRequests }) => ({
+      artistName,
+      requests: artistRequests.length,
+      accepted: artistRequests.filter(r => ACCEPTED_STATUSES.includes(r.status)).length,
+      rejected: artistRequests.filter(r => r.status === 'rejected').length,
+      acceptanceRate: getAcceptanceRate(artistRequests)
+    }))
+    .sort((a, b) => b.requests - a.requests)
+    .slice(0, limit);
+}
+
+function getEventAnalytics(eventRequests, { bucketMinutes = DEFAULT_BUCKET_MINUTES } = {}) {
+  return {
+    ...getEventStats(eventRequests),
+    bucketMinutes,
+    timeline: getTimeline(eventRequests, bucketMinutes),
+    responseTime: getResponseTimes(eventRequests),
+    topArtists: getTopArtists(eventRequests),
+    acceptanceByArtist: getAcceptanceByArtist(eventRequests)
+  };
+}
+
+// Data do evento (AAAA-MM-DD) no fuso pedido; festas que viram a meia-noite contam no dia em que começaram
+function localDate(timestamp, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .format(new Date(timestamp));
+}
+
+// Tendências entre eventos: from/to (AAAA-MM-DD, inclusivos) filtram pela data de criação do evento.
+// requestsByEvent é um Map eventId → pedidos.
+function getTrends(events, requestsByEvent, { from = null, to = null, timeZone = 'UTC' } = {}) {
+  const selected = events
+    .map(event => ({ event, date: localDate(event.createdAt, timeZone) }))
+    .filter(({ date }) => (!from || date >= from) && (!to || date <= to))
+    .sort((a, b) => a.event.createdAt - b.event.createdAt);
+
+  const days = new Map();
+  const allRequests = [];
+  selected.forEach(({ event, date }) => {
+    const eventRequests = requestsByEvent.get(event.id) || [];
+    if (!days.has(date)) days.set(date, { date, events: 0, requests: [] });
+    const day = days.get(date);
+    day.events++;
+    day.requests.push(...eventRequests);
+    allRequests.push(...eventRequests);
+  });
+
+  return {
+    from,
+    to,
+    timeZone,
+    totalEvents: selected.length,
+    totalRequests: allRequests.length,
+    acceptanceRate: getAcceptanceRate(allRequests),
+    responseTime: getResponseTimes(allRequests),
+    byDay: [...days.values()].map(day => ({
+      date: day.date,
+      events: day.events,
+      requests: day.requests.length,
+      acceptanceRate: getAcceptanceRate(day.requests),
+      medianResponseMs: getResponseTimes(day.requests).medianMs
+    })),
+    topTracks: countTopTracks(allRequests, 20),
+    topArtists: getTopArtists(allRequests, 20),
+    acceptanceByArtist: getAcceptanceByArtist(allRequests)
+  };
+}
+
+module.exports = {
+  BUCKET_MINUTES,
+  DEFAULT_BUCKET_MINUTES,
+  getTimeline,
+  getResponseTimes,
+  getTopArtists,
+  getAcceptanceByArtist,
+  getEventAnalytics,
+  getTrends
+};
@@ -0,0 +1,46 @@
+// Conta as tentativas que falharam por chave (o IP) dentro de uma janela; quem passa do
+// limite fica bloqueado por lockoutMs. Fica em memória: um restart zera os contadores.
+function createAttemptThrottle({ maxAttempts = 10, windowMs = 10 * 60 * 1000, lockoutMs = 15 * 60 * 1000, maxKeys = 10000 } = {}) {
+  const entries = new Map();
+
+  function getEntry(key, now) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.lockedUntil > now) return entry;
+    entry.failures = entry.failures.filter(at => at > now - windowMs);
+    if (entry.failures.length === 0) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  // Milissegundos até liberar, ou 0 se a chave pode tentar
+  function check(key, now = Date.now()) {
+    const entry = getEntry(key, now);
+    return entry && entry.lockedUntil > now ? entry.lockedUntil - now : 0;
+  }
+
+  function recordFailure(key, now = Date.now()) {
+    const entry = getEntry(key, now) || { failures: [], lockedUntil: 0 };
+    entry.failures.push(now);
+    if (entry.failures.length >= maxAttempts) {
+      entry.lockedUntil = now + lockoutMs;
+      entry.failures = [];
+    }
+    entries.delete(key);
+    entries.set(key, entry);
+    // Muitos IPs diferentes: descarta os mais antigos para a memória não crescer sem limite
+    while (entries.size > maxKeys) {
+      entries.delete(entries.keys().next().value);
+    }
+    return {
+      attempts: entry.failures.length,
+      retryAfterMs: entry.lockedUntil > now ? entry.lockedUntil - now : 0
+    };
+  }
+
+  return { check, recordFailure };
+}
+
+module.exports = { createAttemptThrottle };
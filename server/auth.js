@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+
+const SESSION_TTL = 30 * 24 * 60 * 60 * 1000; // 30 dias
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  if (!stored || !stored.includes(':')) return false;
+  const [salt, hash] = stored.split(':');
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function generateToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+// Guardamos só o hash do token, assim um data.json vazado não dá acesso às sessões
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme === 'Bearer' && token) return token;
+  return null;
+}
+
+// ADMIN_USERNAMES=ana,bruno: DJs que enxergam dados de todos os DJs (ex.: tendências gerais)
+function isAdmin(user, env = process.env) {
+  const admins = (env.ADMIN_USERNAMES || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+  return Boolean(user) && admins.includes(user.username);
+}
+
+function publicUser(user) {
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+module.exports = {
+  SESSION_TTL,
+  hashPassword,
+  verifyPassword,
+  generateToken,
+  hashToken,
+  getBearerToken,
+  isAdmin,
+  publicUser
+};
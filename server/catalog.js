@@ -0,0 +1,217 @@
+const { normalizeText, levenshtein } = require('./text');
+
+const CATALOG_FORMATS = ['csv', 'json', 'm3u'];
+
+// Nomes de coluna usados pelo Rekordbox, Serato e planilhas comuns
+const COLUMN_ALIASES = {
+  name: ['title', 'track title', 'name', 'song', 'track', 'titulo', 'musica'],
+  artist: ['artist', 'artists', 'artista'],
+  album: ['album'],
+  genre: ['genre', 'genero', 'style', 'estilo'],
+  duration: ['time', 'length', 'duration', 'duracao'],
+  bpm: ['bpm']
+};
+
+function detectFormat(content) {
+  const trimmed = content.trimStart();
+  if (trimmed.startsWith('#EXTM3U') || trimmed.startsWith('#EXTINF')) return 'm3u';
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) return 'json';
+  return 'csv';
+}
+
+// "3:45", "03:45.2", "225" (segundos) ou "225000" (ms) → milissegundos
+function parseDuration(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') return value > 10000 ? Math.round(value) : Math.round(value * 1000);
+
+  const text = String(value).trim();
+  if (text.includes(':')) {
+    const seconds = text.split(':').reduce((total, part) => total * 60 + parseFloat(part || 0), 0);
+    return Number.isFinite(seconds) ? Math.round(seconds * 1000) : null;
+  }
+  const number = parseFloat(text);
+  if (!Number.isFinite(number)) return null;
+  return number > 10000 ? Math.round(number) : Math.round(number * 1000);
+}
+
+function splitGenres(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.map(String).filter(Boolean);
+  return String(value).split(/[,;/]/).map(g => g.trim()).filter(Boolean);
+}
+
+function toEntry(fields) {
+  const name = String(fields.name || '').trim();
+  if (!name) return null;
+  const bpm = parseFloat(fields.bpm);
+  return {
+    name,
+    artist: String(fields.artist || '').trim(),
+    album: String(fields.album || '').trim() || null,
+    genres: splitGenres(fields.genre),
+    durationMs: parseDuration(fields.duration),
+    bpm: Number.isFinite(bpm) ? bpm : null
+  };
+}
+
+function pickColumns(record) {
+  const normalized = {};
+  Object.entries(record).forEach(([key, value]) => {
+    normalized[normalizeText(key)] = value;
+  });
+
+  const fields = {};
+  Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+    const alias = aliases.find(a => normalized[a] !== undefined && normalized[a] !== '');
+    if (alias) fields[field] = normalized[alias];
+  });
+  if (fields.genre === undefined && record.genres !== undefined) fields.genre = record.genres;
+  return fields;
+}
+
+function parseCsvLine(line, delimiter) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell);
+  return cells.map(c => c.trim());
+}
+
+// Rekordbox exporta TSV; Serato e planilhas, CSV com vírgula ou ponto e vírgula
+function parseCsv(content) {
+  const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+  if (lines.length < 2) return [];
+
+  const header = lines[0];
+  const delimiter = ['\t', ';', ','].reduce((best, candidate) =>
+    header.split(candidate).length > header.split(best).length ? candidate : best, ',');
+  const columns = parseCsvLine(header, delimiter);
+
+  return lines.slice(1).map(line => {
+    const cells = parseCsvLine(line, delimiter);
+    const record = {};
+    columns.forEach((column, index) => {
+      record[column] = cells[index];
+    });
+    return toEntry(pickColumns(record));
+  });
+}
+
+function parseJson(content) {
+  const parsed = JSON.parse(content);
+  const records = Array.isArray(parsed) ? parsed : (parsed.tracks || []);
+  return records.map(record => toEntry(pickColumns(record)));
+}
+
+// "Artista - Título" vem do #EXTINF ou, sem ele, do nome do arquivo
+function splitArtistTitle(text) {
+  const separator = text.indexOf(' - ');
+  if (separator === -1) return { artist: '', name: text.trim() };
+  return { artist: text.slice(0, separator).trim(), name: text.slice(separator + 3).trim() };
+}
+
+function parseM3u(content) {
+  const entries = [];
+  let info = null;
+
+  content.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (line.startsWith('#EXTINF:')) {
+      const match = line.match(/^#EXTINF:(-?\d+(?:\.\d+)?)[^,]*,(.*)$/);
+      if (match) {
+        const seconds = parseFloat(match[1]);
+        info = { ...splitArtistTitle(match[2]), duration: seconds > 0 ? seconds : null };
+      }
+      return;
+    }
+    if (line.startsWith('#')) return;
+
+    const fileName = line.split(/[\\/]/).pop().replace(/\.[a-z0-9]{2,4}$/i, '');
+    entries.push(toEntry(info || splitArtistTitle(fileName)));
+    info = null;
+  });
+
+  return entries;
+}
+
+function parseCatalog(content, format = detectFormat(content)) {
+  let entries;
+  if (format === 'json') entries = parseJson(content);
+  else if (format === 'm3u') entries = parseM3u(content);
+  else entries = parseCsv(content);
+
+  const valid = entries.filter(Boolean);
+  return { format, entries: valid, skipped: entries.length - valid.length };
+}
+
+function tokenize(value) {
+  return normalizeText(value).split(' ').filter(Boolean);
+}
+
+// Pontua um termo da busca contra as palavras da faixa: exato > prefixo > contido > erro de digitação
+function scoreToken(token, words) {
+  let best = 0;
+  for (const word of words) {
+    if (word === token) return 3;
+    if (word.startsWith(token)) best = Math.max(best, 2);
+    else if (token.length >= 3 && word.includes(token)) best = Math.max(best, 1.5);
+    else if (token.length >= 4) {
+      const allowed = token.length >= 7 ? 2 : 1;
+      const distance = levenshtein(token, word.slice(0, token.length + allowed));
+      if (distance <= allowed) best = Math.max(best, 1);
+    }
+  }
+  return best;
+}
+
+// Busca sem acento e tolerante a erro: todos os termos precisam bater em alguma palavra
+function searchCatalog(tracks, query, limit = 10) {
+  const tokens = tokenize(query);
+  if (tokens.length === 0) return [];
+
+  return tracks
+    .map(track => {
+      const words = tokenize(`${track.name} ${track.artist} ${track.album || ''}`);
+      let score = 0;
+      for (const token of tokens) {
+        const tokenScore = scoreToken(token, words);
+        if (tokenScore === 0) return null;
+        score += tokenScore;
+      }
+      return { track, score };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || a.track.name.localeCompare(b.track.name))
+    .slice(0, limit)
+    .map(({ track }) => track);
+}
+
+module.exports = {
+  CATALOG_FORMATS,
+  detectFormat,
+  parseCatalog,
+  searchCatalog
+};
@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+
+const DEFAULT_CODE_LENGTH = 4;
+const DEFAULT_CODE_ALPHABET = '0123456789';
+const MIN_CODE_LENGTH = 3;
+const MAX_CODE_LENGTH = 12;
+// Com muitos eventos ativos o tamanho configurado pode lotar; depois disso o código cresce
+const ATTEMPTS_PER_LENGTH = 20;
+
+// EVENT_CODE_LENGTH e EVENT_CODE_ALPHABET; códigos são sempre maiúsculos para o convidado
+// não errar por causa de caixa
+function getCodeFormat(env = process.env) {
+  const alphabet = [...new Set((env.EVENT_CODE_ALPHABET || DEFAULT_CODE_ALPHABET).toUpperCase().replace(/[^0-9A-Z]/g, ''))].join('');
+  if (alphabet.length < 2) {
+    throw new Error('EVENT_CODE_ALPHABET needs at least 2 distinct letters or digits');
+  }
+  const length = Math.min(Math.max(Number(env.EVENT_CODE_LENGTH) || DEFAULT_CODE_LENGTH, MIN_CODE_LENGTH), MAX_CODE_LENGTH);
+  return { length, alphabet, numeric: /^[0-9]+$/.test(alphabet) };
+}
+
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function randomCode(alphabet, length) {
+  let code = '';
+  for (let i = 0; i < length; i++) {
+    code += alphabet[crypto.randomInt(alphabet.length)];
+  }
+  return code;
+}
+
+function generateEventCode(format, isInUse) {
+  for (let length = format.length; length <= MAX_CODE_LENGTH; length++) {
+    for (let attempt = 0; attempt < ATTEMPTS_PER_LENGTH; attempt++) {
+      const code = randomCode(format.alphabet, length);
+      if (!isInUse(code)) return code;
+    }
+  }
+  throw new Error('Could not generate a unique event code');
+}
+
+module.exports = {
+  MIN_CODE_LENGTH,
+  MAX_CODE_LENGTH,
+  getCodeFormat,
+  normalizeCode,
+  generateEventCode
+};
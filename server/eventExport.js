@@ -0,0 +1,161 @@
+const { getTrackUri, getVotes } = require('./requests');
+const { ACCEPTED_STATUSES } = require('./eventStats');
+const { DEFAULT_LOCALE, translate } = require('./i18n');
+const { escapeHtml } = require('./text');
+
+const REQUEST_EXPORT_FORMATS = ['csv', 'json'];
+const PLAYLIST_EXPORT_FORMATS = ['m3u', 'spotify'];
+
+function toIso(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : '';
+}
+
+// O IP de quem pediu serve só para os limites de pedido e não sai no export
+function exportRequest(request) {
+  const { voters, requesters, ...rest } = request;
+  return {
+    ...rest,
+    trackUri: getTrackUri(request),
+    votes: getVotes(request),
+    requesters: (requesters || []).map(({ name, requestedAt, message, messageStatus }) => ({
+      name, requestedAt, message: message || null, messageStatus: messageStatus || null
+    }))
+  };
+}
+
+const CSV_COLUMNS = [
+  ['id', r => r.id],
+  ['trackName', r => r.trackName],
+  ['artistName', r => r.artistName],
+  ['trackUri', r => getTrackUri(r)],
+  ['provider', r => r.provider],
+  ['status', r => r.status],
+  ['votes', r => getVotes(r)],
+  ['requesters', r => (r.requesters || []).map(q => q.name).join('; ') || r.requesterName],
+  ['messages', r => (r.requesters || []).filter(q => q.message).map(q => `${q.name}: ${q.message}`).join('; ')],
+  ['requestedAt', r => toIso(r.requestedAt)],
+  ['respondedAt', r => toIso(r.respondedAt)],
+  ['playingAt', r => toIso(r.playingAt)],
+  ['playedAt', r => toIso(r.playedAt)],
+  ['autoRejected', r => (r.autoRejected ? 'true' : 'false')]
+];
+
+// Nomes vêm dos convidados: "=..." viraria fórmula no Excel, então prefixamos com '
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function requestsToCsv(requests) {
+  const lines = [CSV_COLUMNS.map(([name]) => name).join(',')];
+  requests.forEach(request => {
+    lines.push(CSV_COLUMNS.map(([, read]) => csvCell(read(request))).join(','));
+  });
+  // BOM para o Excel abrir os acentos em UTF-8
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+// Ordem em que as músicas entraram na pista; aceitas que não tocaram vão no fim
+function getSetlist(requests) {
+  const startedAt = r => r.playingAt || r.playedAt || Infinity;
+  return requests
+    .filter(r => ACCEPTED_STATUSES.includes(r.status))
+    .sort((a, b) => startedAt(a) - startedAt(b) || (a.respondedAt || 0) - (b.respondedAt || 0));
+}
+
+function setlistToM3u(tracks) {
+  const lines = ['#EXTM3U'];
+  tracks.forEach(track => {
+    const title = track.artistName ? `${track.artistName} - ${track.trackName}` : track.trackName;
+    lines.push(`#EXTINF:-1,${title.replace(/[\r\n]+/g, ' ')}`);
+    lines.push(getTrackUri(track) || title.replace(/[\r\n]+/g, ' '));
+  });
+  return lines.join('\n') + '\n';
+}
+
+// Um URI por linha: colado numa playlist do Spotify desktop, vira a lista de faixas
+function setlistToSpotifyUris(tracks) {
+  const uris = tracks.map(getTrackUri).filter(uri => uri && uri.startsWith('spotify:track:'));
+  return [...new Set(uris)].join('\n') + '\n';
+}
+
+function formatTime(timestamp, locale) {
+  return timestamp ? new Date(timestamp).toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' }) : '';
+}
+
+function formatRate(rate) {
+  return rate === null ? '—' : `${Math.round(rate * 100)}%`;
+}
+
+function renderSetlistReport(event, stats, setlist, locale = DEFAULT_LOCALE) {
+  const t = (key, params) => translate(locale, key, params);
+  const date = new Date(event.createdAt).toLocaleDateString(locale);
+  const setlistRows = setlist.map((track, index) => `
+        <tr>
+          <td>${index + 1}</td>
+          <td>${escapeHtml(formatTime(track.playingAt || track.playedAt, locale))}</td>
+          <td>${escapeHtml(track.trackName)}</td>
+          <td>${escapeHtml(track.artistName)}</td>
+          <td>${getVotes(track)}</td>
+        </tr>`).join('');
+  const topRows = stats.topTracks.map((track, index) => `
+        <tr>
+          <td>${index + 1}</td>
+          <td>${escapeHtml(track.trackName)}</td>
+          <td>${escapeHtml(track.artistName)}</td>
+          <td>${track.count}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="${locale}">
+  <head>
+    <meta charset="UTF-8">
+    <title>Setlist - ${escapeHtml(event.name)}</title>
+    <style>
+      body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #222; margin: 32px; }
+      h1 { margin-bottom: 4px; }
+      .meta { color: #666; margin-bottom: 24px; }
+      .totals { display: flex; gap: 24px; margin-bottom: 24px; }
+      .totals div { border: 1px solid #ddd; border-radius: 8px; padding: 12px 16px; }
+      .totals strong { display: block; font-size: 24px; }
+      table { width: 100%; border-collapse: collapse; margin-bottom: 32px; }
+      th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #eee; }
+      @media print { body { margin: 0; } .totals div { break-inside: avoid; } }
+    </style>
+  </head>
+  <body>
+    <h1>${escapeHtml(event.name)}</h1>
+    <div class="meta">${escapeHtml(date)} · ${escapeHtml(t('report.code', { code: event.code }))}</div>
+    <div class="totals">
+      <div><strong>${stats.totalRequests}</strong>${t('report.requests')}</div>
+      <div><strong>${setlist.length}</strong>${t('report.accepted')}</div>
+      <div><strong>${stats.rejectedRequests}</strong>${t('report.rejected')}</div>
+      <div><strong>${stats.playedRequests}</strong>${t('report.played')}</div>
+      <div><strong>${formatRate(stats.acceptanceRate)}</strong>${t('report.acceptanceRate')}</div>
+    </div>
+    <h2>Setlist</h2>
+    <table>
+      <thead><tr><th>#</th><th>${t('report.time')}</th><th>${t('report.track')}</th><th>${t('report.artist')}</th><th>${t('report.votes')}</th></tr></thead>
+      <tbody>${setlistRows || `<tr><td colspan="5">${t('report.noAccepted')}</td></tr>`}</tbody>
+    </table>
+    <h2>${t('report.topTracks')}</h2>
+    <table>
+      <thead><tr><th>#</th><th>${t('report.track')}</th><th>${t('report.artist')}</th><th>${t('report.requestCount')}</th></tr></thead>
+      <tbody>${topRows || `<tr><td colspan="4">${t('report.noRequests')}</td></tr>`}</tbody>
+    </table>
+  </body>
+</html>
+`;
+}
+
+module.exports = {
+  REQUEST_EXPORT_FORMATS,
+  PLAYLIST_EXPORT_FORMATS,
+  exportRequest,
+  requestsToCsv,
+  getSetlist,
+  setlistToM3u,
+  setlistToSpotifyUris,
+  renderSetlistReport
+};
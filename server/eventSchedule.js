@@ -0,0 +1,164 @@
+const { isValidTimeZone } = require('./text');
+
+const DEFAULT_TIME_ZONE = 'UTC';
+const MAX_WINDOW_MINUTES = 24 * 60;
+
+const DEFAULT_REQUEST_WINDOW = {
+  // Minutos depois do início em que os pedidos abrem; null abre junto com o evento
+  openAfterStartMinutes: null,
+  // Minutos antes do fim em que os pedidos fecham (ex.: 30 para a última meia hora ser do DJ)
+  closeBeforeEndMinutes: null
+};
+
+// Com fuso explícito (Z ou +03:00) vale como veio; sem fuso é o horário local do evento
+const ZONED_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})$/;
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/;
+
+// Quanto o relógio do fuso está à frente do UTC nesse instante, em ms
+function timeZoneOffset(timestamp, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(timestamp)).forEach(part => { parts[part.type] = Number(part.value); });
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(timestamp / 1000) * 1000;
+}
+
+function parseDateTime(value, timeZone) {
+  if (ZONED_DATE_TIME.test(value)) {
+    const timestamp = Date.parse(value);
+    return Number.isNaN(timestamp) ? null : timestamp;
+  }
+  const match = LOCAL_DATE_TIME.exec(value);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second] = match.map(part => Number(part || 0));
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  // Date.UTC aceita 31/02 e 25h jogando para a frente; aqui isso é data inválida
+  const date = new Date(wallClock);
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59) {
+    return null;
+  }
+  // A segunda passada acerta os horários perto da troca de horário de verão
+  let timestamp = wallClock - timeZoneOffset(wallClock, timeZone);
+  timestamp = wallClock - timeZoneOffset(timestamp, timeZone);
+  return timestamp;
+}
+
+function getSchedule(event) {
+  return {
+    startsAt: event.startsAt || null,
+    endsAt: event.endsAt || null,
+    timeZone: event.timeZone || DEFAULT_TIME_ZONE,
+    requestWindow: { ...DEFAULT_REQUEST_WINDOW, ...(event.requestWindow || {}) }
+  };
+}
+
+function parseRequestWindow(input, current) {
+  if (input === null) return { requestWindow: { ...DEFAULT_REQUEST_WINDOW } };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'schedule.invalidWindow' };
+  }
+  const requestWindow = { ...current };
+  for (const [key, value] of Object.entries(input)) {
+    if (!(key in DEFAULT_REQUEST_WINDOW)) {
+      return { error: 'schedule.unknownWindowField', params: { key } };
+    }
+    if (value !== null && (!Number.isInteger(value) || value < 0 || value > MAX_WINDOW_MINUTES)) {
+      return { error: 'schedule.invalidMinutes', params: { key, max: MAX_WINDOW_MINUTES } };
+    }
+    requestWindow[key] = value;
+  }
+  return { requestWindow };
+}
+
+// Valida startsAt/endsAt/timeZone/requestWindow de um POST ou PATCH parcial;
+// retorna { schedule } ou { error, params } com a chave da mensagem
+function parseSchedule(input, current = {}, now = Date.now()) {
+  const schedule = getSchedule(current);
+
+  if (input.timeZone !== undefined) {
+    if (!isValidTimeZone(input.timeZone)) {
+      return { error: 'schedule.invalidTimeZone', params: { timeZone: input.timeZone } };
+    }
+    schedule.timeZone = input.timeZone;
+  }
+  for (const key of ['startsAt', 'endsAt']) {
+    if (input[key] === undefined) continue;
+    if (input[key] === null) {
+      schedule[key] = null;
+      continue;
+    }
+    const timestamp = parseDateTime(input[key], schedule.timeZone);
+    if (timestamp === null) {
+      return { error: 'schedule.invalidDate', params: { key } };
+    }
+    schedule[key] = timestamp;
+  }
+  if (input.requestWindow !== undefined) {
+    const parsed = parseRequestWindow(input.requestWindow, schedule.requestWindow);
+    if (parsed.error) return parsed;
+    schedule.requestWindow = parsed.requestWindow;
+  }
+
+  if (schedule.startsAt && schedule.endsAt && schedule.endsAt <= schedule.startsAt) {
+    return { error: 'schedule.endBeforeStart' };
+  }
+  if (input.endsAt && schedule.endsAt <= now) {
+    return { error: 'schedule.endInPast' };
+  }
+  return { schedule };
+}
+
+// Agendado e ainda esperando a hora de abrir (nem o scheduler nem o DJ abriram)
+function isUpcoming(event) {
+  return Boolean(event.startsAt && !event.active && !event.startedAt && !event.endedAt);
+}
+
+// Horários em que os pedidos abrem e fecham (null = sem restrição)
+function getRequestWindow(event) {
+  const { startsAt, endsAt, requestWindow } = getSchedule(event);
+  const start = startsAt || event.startedAt || event.createdAt;
+  return {
+    opensAt: requestWindow.openAfterStartMinutes && start
+      ? start + requestWindow.openAfterStartMinutes * 60 * 1000
+      : null,
+    closesAt: requestWindow.closeBeforeEndMinutes !== null && endsAt
+      ? endsAt - requestWindow.closeBeforeEndMinutes * 60 * 1000
+      : null
+  };
+}
+
+// null se o evento aceita pedidos agora, ou { message, at } (message é a chave de tradução)
+function checkRequestWindow(event, now = Date.now()) {
+  const { opensAt, closesAt } = getRequestWindow(event);
+  if (opensAt && now < opensAt) return { message: 'event.requestsNotOpen', at: opensAt };
+  if (closesAt && now >= closesAt) return { message: 'event.requestsClosed', at: closesAt };
+  return null;
+}
+
+// Horário no fuso do evento; só a hora quando é no mesmo dia, senão data e hora
+function formatEventTime(timestamp, event, locale, now = Date.now()) {
+  const timeZone = getSchedule(event).timeZone;
+  const sameDay = new Date(timestamp).toLocaleDateString('en-CA', { timeZone })
+    === new Date(now).toLocaleDateString('en-CA', { timeZone });
+  const options = sameDay
+    ? { timeZone, timeStyle: 'short' }
+    : { timeZone, dateStyle: 'short', timeStyle: 'short' };
+  return new Date(timestamp).toLocaleString(locale, options);
+}
+
+module.exports = {
+  parseSchedule,
+  isUpcoming,
+  getRequestWindow,
+  checkRequestWindow,
+  formatEventTime
+};
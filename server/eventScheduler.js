@@ -0,0 +1,59 @@
+const { isUpcoming } = require('./eventSchedule');
+
+const DEFAULT_INTERVAL = 15 * 1000;
+
+// Abre os eventos agendados quando chega startsAt e encerra quando chega endsAt. O estado
+// fica no próprio evento (active, startedAt, endedAt), então depois de um restart o
+// primeiro tick põe em dia o que venceu com o servidor fora do ar.
+function startEventScheduler({ storage, isCodeInUse, onStart, onEnd, intervalMs = DEFAULT_INTERVAL }) {
+  // Evento que não pôde abrir por conflito de código: avisa no log uma vez só
+  const blocked = new Set();
+
+  function tick(now = Date.now()) {
+    const scheduled = storage.find('events').filter(event => event.startsAt || event.endsAt);
+
+    scheduled
+      .filter(event => event.endsAt && event.endsAt <= now && (event.active || !event.endedAt))
+      .forEach(event => {
+        event.active = false;
+        event.endedAt = now;
+        storage.update('events', event);
+        onEnd(event);
+      });
+
+    scheduled
+      .filter(event => isUpcoming(event) && event.startsAt <= now)
+      .forEach(event => {
+        if (isCodeInUse(event.code, event.id)) {
+          if (!blocked.has(event.id)) {
+            blocked.add(event.id);
+            console.warn(`Scheduled event ${event.id} not started: code ${event.code} in use`);
+          }
+          return;
+        }
+        blocked.delete(event.id);
+        event.active = true;
+        event.startedAt = now;
+        storage.update('events', event);
+        onStart(event);
+      });
+  }
+
+  tick();
+  const timer = setInterval(() => {
+    try {
+      tick();
+    } catch (error) {
+      console.error('Event scheduler error:', error.message);
+    }
+  }, intervalMs);
+
+  return {
+    tick,
+    stop: () => clearInterval(timer)
+  };
+}
+
+module.exports = {
+  startEventScheduler
+};
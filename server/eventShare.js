@@ -0,0 +1,82 @@
+const QRCode = require('qrcode');
+const { DEFAULT_LOCALE, translate } = require('./i18n');
+const { escapeHtml } = require('./text');
+
+const QR_FORMATS = ['png', 'svg'];
+const DEFAULT_QR_SIZE = 512;
+const MIN_QR_SIZE = 128;
+const MAX_QR_SIZE = 2048;
+
+// Margem de 2 módulos e correção M: lê bem impresso em cartão de mesa e projetado no telão
+const QR_OPTIONS = { errorCorrectionLevel: 'M', margin: 2 };
+
+// Atrás de proxy o host interno não serve para o convidado; PUBLIC_URL fixa o endereço público
+function publicBaseUrl(req) {
+  const configured = process.env.PUBLIC_URL;
+  if (configured) return configured.replace(/\/+$/, '');
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+// A página do convidado reconhece /join/<código> e entra no evento sem digitar nada
+function joinUrl(baseUrl, event) {
+  return `${baseUrl}/join/${encodeURIComponent(event.code)}`;
+}
+
+function clampQrSize(size) {
+  const value = Number(size) || DEFAULT_QR_SIZE;
+  return Math.min(Math.max(value, MIN_QR_SIZE), MAX_QR_SIZE);
+}
+
+// Gerado aqui mesmo, sem serviço externo: o link do evento não sai do servidor
+function renderQrCode(text, format, size) {
+  const width = clampQrSize(size);
+  if (format === 'svg') {
+    return QRCode.toString(text, { ...QR_OPTIONS, type: 'svg', width });
+  }
+  return QRCode.toBuffer(text, { ...QR_OPTIONS, type: 'png', width });
+}
+
+function renderPoster(event, url, qrSvg, locale = DEFAULT_LOCALE) {
+  const t = (key, params) => translate(locale, key, params);
+  const displayUrl = url.replace(/^https?:\/\//, '').replace(/\/join\/.*$/, '');
+  const styles = (event.acceptedStyles || []).join(', ');
+
+  return `<!DOCTYPE html>
+<html lang="${locale}">
+  <head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(event.name)} - MusicAsk</title>
+    <style>
+      @page { size: A4; margin: 16mm; }
+      body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #111; margin: 0; text-align: center; }
+      .poster { max-width: 170mm; margin: 0 auto; padding: 24px; }
+      h1 { font-size: 40px; margin: 0 0 8px; }
+      .cta { font-size: 24px; margin: 0 0 24px; }
+      .qr svg { width: 120mm; max-width: 100%; height: auto; }
+      .code { font-size: 20px; margin-top: 24px; }
+      .code strong { display: block; font-size: 56px; letter-spacing: 8px; }
+      .styles { color: #555; margin-top: 16px; }
+      .brand { color: #888; margin-top: 32px; font-size: 14px; }
+    </style>
+  </head>
+  <body>
+    <div class="poster">
+      <h1>${escapeHtml(event.name)}</h1>
+      <p class="cta">${escapeHtml(t('poster.scan'))}</p>
+      <div class="qr">${qrSvg}</div>
+      <div class="code">${escapeHtml(t('poster.orEnterCode', { url: displayUrl }))}<strong>${escapeHtml(event.code)}</strong></div>
+      ${styles ? `<p class="styles">${escapeHtml(t('poster.acceptedStyles', { styles }))}</p>` : ''}
+      <p class="brand">🎵 MusicAsk</p>
+    </div>
+  </body>
+</html>
+`;
+}
+
+module.exports = {
+  QR_FORMATS,
+  publicBaseUrl,
+  joinUrl,
+  renderQrCode,
+  renderPoster
+};
@@ -0,0 +1,46 @@
+const { LATER_STATUSES, getVotes } = require('./requests');
+const { trackKey } = require('./trackIdentity');
+
+// Pedidos que o DJ aceitou, mesmo que já tenham tocado
+const ACCEPTED_STATUSES = ['accepted', 'now_playing', 'played'];
+
+function countTopTracks(requests, limit) {
+  const trackCounts = {};
+  requests.forEach(r => {
+    const key = trackKey(r);
+    if (!trackCounts[key]) {
+      trackCounts[key] = { trackName: r.trackName, artistName: r.artistName, count: 0 };
+    }
+    trackCounts[key].count += getVotes(r);
+  });
+
+  return Object.values(trackCounts)
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit);
+}
+
+// Taxa de aceite entre os pedidos já decididos (pendentes e "mais tarde" ficam de fora)
+function getAcceptanceRate(requests) {
+  const accepted = requests.filter(r => ACCEPTED_STATUSES.includes(r.status)).length;
+  const decided = accepted + requests.filter(r => r.status === 'rejected').length;
+  return decided > 0 ? accepted / decided : null;
+}
+
+function getEventStats(eventRequests) {
+  return {
+    totalRequests: eventRequests.length,
+    acceptedRequests: eventRequests.filter(r => r.status === 'accepted').length,
+    rejectedRequests: eventRequests.filter(r => r.status === 'rejected').length,
+    laterRequests: eventRequests.filter(r => LATER_STATUSES.includes(r.status)).length,
+    playedRequests: eventRequests.filter(r => r.status === 'played').length,
+    acceptanceRate: getAcceptanceRate(eventRequests),
+    topTracks: countTopTracks(eventRequests, 10)
+  };
+}
+
+module.exports = {
+  ACCEPTED_STATUSES,
+  countTopTracks,
+  getAcceptanceRate,
+  getEventStats
+};
@@ -0,0 +1,37 @@
+const { getRequestWindow } = require('./eventSchedule');
+
+// O que o DJ dono recebe: tudo menos o hash da senha e a chave dos links de compartilhar
+function ownerEvent(event) {
+  const { passwordHash, shareKey, ...rest } = event;
+  return { ...rest, hasPassword: Boolean(passwordHash) };
+}
+
+// Listas públicas e a sala do evento levam só o que o convidado precisa. Campo novo no
+// evento fica de fora até entrar aqui; o código, por exemplo, só vale digitado pelo
+// convidado (com limite de tentativas) ou pelo link de entrada
+function publicEvent(event) {
+  return {
+    id: event.id,
+    name: event.name,
+    active: Boolean(event.active),
+    createdAt: event.createdAt,
+    startedAt: event.startedAt || null,
+    endedAt: event.endedAt || null,
+    startsAt: event.startsAt || null,
+    endsAt: event.endsAt || null,
+    timeZone: event.timeZone || null,
+    locale: event.locale || null,
+    acceptedStyles: event.acceptedStyles || [],
+    requestWindow: getRequestWindow(event)
+  };
+}
+
+function hasUnlocked(guestSession, event) {
+  return !event.passwordHash || Boolean(guestSession && (guestSession.unlockedEventIds || []).includes(event.id));
+}
+
+module.exports = {
+  ownerEvent,
+  publicEvent,
+  hasUnlocked
+};
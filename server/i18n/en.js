@@ -0,0 +1,281 @@
+module.exports = {
+  'api.notFound': 'Route not found',
+  'api.invalidBody': 'Invalid request body',
+  'api.internalError': 'Internal server error',
+
+  'validation.required': '{field} is required',
+  'validation.notNull': '{field} cannot be null',
+  'validation.string': '{field} must be text',
+  'validation.minLength': '{field} must be at least {min} characters long',
+  'validation.maxLength': '{field} must be at most {max} characters long',
+  'validation.pattern': '{field} has an invalid format',
+  'validation.number': '{field} must be a number',
+  'validation.integer': '{field} must be an integer',
+  'validation.min': '{field} must be at least {min}',
+  'validation.max': '{field} must be at most {max}',
+  'validation.boolean': '{field} must be true or false',
+  'validation.array': '{field} must be a list',
+  'validation.maxItems': '{field} must have at most {max} items',
+  'validation.object': '{field} must be an object',
+  'validation.enum': '{field} must be one of: {values}',
+
+  'auth.loginRequired': 'Login required',
+  'auth.invalidRegistrationKey': 'Invalid registration key',
+  'auth.userExists': 'Username already taken',
+  'auth.registered': 'Account created',
+  'auth.invalidCredentials': 'Invalid username or password',
+  'auth.loggedIn': 'Logged in',
+  'auth.loggedOut': 'Logged out',
+  'auth.me': 'Authenticated user',
+  'auth.guestTokenRequired': 'Guest session missing or expired; enter the event again',
+
+  'event.created': 'Event created',
+  'event.defaultName': 'Event {code}',
+  'event.listLoaded': 'Events loaded',
+  'event.found': 'Event found',
+  'event.notFound': 'Event not found',
+  'event.forbidden': 'You do not have permission for this event',
+  'event.claimed': 'You now own this event',
+  'event.alreadyOwned': 'This event already has an owner',
+  'event.claimDisabled': 'Events without an owner can only be claimed when DJ_REGISTRATION_KEY is set on the server',
+  'event.codeInUse': 'Code already used by another active event',
+  'event.updated': 'Event updated',
+  'event.ended': 'Event ended',
+  'event.validCode': 'Valid code',
+  'event.invalidCode': 'Invalid code or event has ended',
+  'event.codeFormatLoaded': 'Event code format',
+  'event.tooManyAttempts': 'Too many wrong attempts. Try again in {seconds}s',
+  'event.passwordRequired': 'This event has a password',
+  'event.wrongPassword': 'Wrong event password',
+  'event.djConnected': 'Connected to the event dashboard',
+  'event.shareLoaded': 'Event link',
+  'event.notStarted': 'The event hasn\'t started yet. Starts: {time}',
+  'event.requestsNotOpen': 'Requests aren\'t open yet. Opening: {time}',
+  'event.requestsClosed': 'Requests have been closed since {time}',
+
+  'limits.invalid': 'Invalid request limits',
+  'limits.unknown': 'Unknown limit: {key}',
+  'limits.mustBeBoolean': '{key} must be true or false',
+  'limits.mustBePositiveInteger': '{key} must be a positive integer or null',
+  'limits.textTooLong': 'Text too long (maximum {max} characters)',
+  'limits.alreadyRejected': 'This song was already declined at this event',
+  'limits.nowPlaying': 'This song is playing right now',
+  'limits.alreadyPlayed': 'This song was already played at this event',
+  'limits.cooldown': 'Wait {seconds}s before making another request',
+  'limits.maxPendingPerGuest': 'You already have {max} requests waiting. Wait for the DJ to answer before asking for more',
+  'limits.maxPendingPerIp': 'Too many requests waiting from this network. Try again later',
+  'limits.messageTooLong': 'Message too long (max {max} characters)',
+
+  'schedule.invalidDate': '{key} must be an ISO 8601 date and time (e.g. 2026-12-31T22:00)',
+  'schedule.invalidTimeZone': 'Invalid time zone: {timeZone}',
+  'schedule.endBeforeStart': 'The event must end after it starts',
+  'schedule.endInPast': 'The event end time has already passed',
+  'schedule.invalidWindow': 'Invalid request window',
+  'schedule.unknownWindowField': 'Unknown request window field: {key}',
+  'schedule.invalidMinutes': '{key} must be a whole number from 0 to {max} or null',
+
+  'moderation.invalid': 'Invalid moderation settings',
+  'moderation.unknown': 'Unknown moderation option: {key}',
+  'moderation.mustBeBoolean': '{key} must be true or false',
+  'moderation.invalidTerms': 'blockedTerms must be a list of up to {max} terms of up to {maxLength} characters',
+  'moderation.listLoaded': 'Messages loaded',
+  'moderation.messageNotFound': 'Message not found',
+  'moderation.updated': 'Moderation updated',
+  'moderation.awaitingApproval': 'Request sent! Your message will show once the DJ approves it',
+
+  'catalog.loaded': 'Catalog loaded',
+  'catalog.unreadable': 'Could not read the catalog: {detail}',
+  'catalog.empty': 'No songs found in the file',
+  'catalog.imported': 'Catalog imported',
+  'catalog.removed': 'Catalog removed',
+  'catalog.trackNotInCatalog': 'This song is not in the DJ\'s catalog',
+
+  'request.listLoaded': 'Requests loaded',
+  'request.queueLoaded': 'Queue loaded',
+  'request.nowPlaying': 'Now playing',
+  'request.alreadyRequested': 'You already requested this song',
+  'request.voteMerged': 'This song was already requested, your vote was added',
+  'request.autoRejected': 'Request declined: style not accepted at this event',
+  'request.sent': 'Request sent',
+  'request.anonymous': 'Anonymous',
+  'request.found': 'Request found',
+  'request.notFound': 'Request not found',
+  'request.statusUpdated': 'Status updated',
+  'request.invalidTransition': 'Cannot change from {from} to {to}',
+  'request.mineLoaded': 'Your requests',
+
+  'vote.closed': 'This request is no longer open for votes',
+  'vote.alreadyVoted': 'You already voted for this song',
+  'vote.registered': 'Vote registered',
+  'vote.ownRequest': 'You requested this song, so you cannot remove your vote',
+  'vote.notVoted': 'You have not voted for this song',
+  'vote.removed': 'Vote removed',
+
+  'stats.loaded': 'Statistics loaded',
+  'stats.topTracksLoaded': 'Top tracks loaded',
+  'analytics.loaded': 'Analytics loaded',
+  'analytics.trendsLoaded': 'Trends loaded',
+  'analytics.invalidTimeZone': 'Invalid timeZone',
+  'analytics.otherOwnerForbidden': 'Only admins can see other DJs\' trends',
+
+  'i18n.loaded': 'Translations loaded',
+
+  'search.found': 'Songs found',
+  'search.degraded': 'Search is unstable right now; results may be incomplete',
+  'search.unavailable': 'Song search is not available for this event',
+  'search.failed': 'Error searching songs',
+
+  'spotify.notConfigured': 'Spotify is not configured on the server',
+  'spotify.openUrl': 'Open the url to authorize Spotify',
+  'spotify.notConnectedTitle': 'Spotify not connected',
+  'spotify.cancelled': 'The authorization was cancelled.',
+  'spotify.connectedTitle': 'Spotify connected',
+  'spotify.connectedMessage': 'You can close this window and go back to MusicAsk.',
+  'spotify.account': 'Spotify account',
+  'spotify.disconnected': 'Spotify disconnected',
+  'spotify.connectFirst': 'Connect your Spotify account first',
+  'spotify.playlistsLoaded': 'Playlists loaded',
+  'spotify.connectBeforeSync': 'Connect your Spotify account before turning on sync',
+  'spotify.syncDisabled': 'Spotify sync is turned off for this event',
+  'spotify.onlyAccepted': 'Only accepted or playing requests are sent to Spotify',
+  'spotify.syncUpdated': 'Sync updated',
+  'spotify.invalidMode': 'spotifySync.mode must be one of: {modes}',
+  'spotify.invalidPlaylist': 'Invalid spotifySync.playlistId',
+  'spotify.choosePlaylist': 'Choose the playlist to sync requests to',
+  'spotify.linkExpired': 'Connection link expired; try connecting again',
+  'spotify.needsAccount': 'Connect your Spotify account to sync',
+  'spotify.authExpired': 'Spotify authorization expired; connect your account again',
+  'spotify.unavailable': 'Spotify is unavailable right now',
+  'spotify.rateLimitedFor': 'Spotify is rate limiting calls; try again in {seconds}s',
+  'spotify.rateLimited': 'Spotify is rate limiting calls; try again shortly',
+  'spotify.forbidden': 'No Spotify permission for this action',
+  'spotify.noActiveDevice': 'No active Spotify player',
+  'spotify.playlistNotFound': 'Playlist not found on Spotify',
+  'spotify.syncFailed': 'Failed to send to Spotify',
+  'spotify.notSpotifyTrack': 'Request has no Spotify track',
+
+  'report.code': 'code {code}',
+  'report.requests': 'requests',
+  'report.accepted': 'accepted',
+  'report.rejected': 'declined',
+  'report.played': 'played',
+  'report.acceptanceRate': 'acceptance rate',
+  'report.time': 'Time',
+  'report.track': 'Song',
+  'report.artist': 'Artist',
+  'report.votes': 'Votes',
+  'report.topTracks': 'Most requested',
+  'report.requestCount': 'Requests',
+  'report.noAccepted': 'No accepted songs',
+  'report.noRequests': 'No requests',
+
+  'poster.scan': 'Point your phone camera here and request a song',
+  'poster.orEnterCode': 'or go to {url} and enter the code',
+  'poster.acceptedStyles': 'Tonight\'s styles: {styles}',
+
+  'guest.language': 'Language',
+  'guest.enterCode': 'Enter the event code to request a song',
+  'guest.enter': 'Enter',
+  'guest.passwordPlaceholder': 'Event password',
+  'guest.invalidCode': 'Invalid code or event has ended',
+  'guest.title': 'Request a Song',
+  'guest.event': 'Event',
+  'guest.searchPlaceholder': 'Search for a song...',
+  'guest.namePlaceholder': 'Your name (optional)',
+  'guest.messagePlaceholder': 'Dedication or message (optional)',
+  'guest.send': 'Send Request',
+  'guest.back': 'Back',
+  'guest.acceptedStyles': 'Accepted styles: {styles}',
+  'guest.searchUnstable': 'Search is unstable right now. Try again in a few seconds.',
+  'guest.searchPartial': 'Search is unstable; results may be incomplete.',
+  'guest.searchUnavailable': 'Song search is not available right now. Ask the DJ in person.',
+  'guest.noResults': 'No songs found',
+  'guest.outOfStyle': 'Outside the event\'s styles',
+  'guest.anonymous': 'Anonymous',
+  'guest.myRequests': 'Your requests',
+  'guest.queue': 'Request queue',
+  'guest.nowPlaying': 'Now playing: {track}',
+  'guest.status.pending': 'Waiting...',
+  'guest.status.accepted': 'Scheduled to play',
+  'guest.status.rejected': 'Not available',
+  'guest.status.later': 'Scheduled for later',
+  'guest.status.nowPlaying': 'Playing now!',
+  'guest.status.played': 'Already played',
+  'guest.otherDevice': 'Continue on another device',
+  'guest.otherDeviceCopied': 'Link copied. Open it on the other device to see your requests there.',
+  'guest.otherDevicePrompt': 'Open this link on the other device:',
+
+  'dj.title': 'DJ dashboard',
+  'dj.username': 'Username',
+  'dj.password': 'Password',
+  'dj.login': 'Log in',
+  'dj.logout': 'Log out',
+  'dj.events': 'Your events',
+  'dj.noEvents': 'No events yet',
+  'dj.newEventName': 'New event name',
+  'dj.createEvent': 'Create event',
+  'dj.eventCode': 'Code {code}',
+  'dj.eventEnded': 'Ended',
+  'dj.backToEvents': 'Events',
+  'dj.filter.all': 'All',
+  'dj.filter.pending': 'Pending',
+  'dj.filter.accepted': 'Accepted',
+  'dj.filter.later': 'Later',
+  'dj.filter.now_playing': 'Playing',
+  'dj.filter.played': 'Played',
+  'dj.filter.rejected': 'Declined',
+  'dj.accept': 'Accept',
+  'dj.reject': 'Decline',
+  'dj.later_5_15': 'In 5–15 min',
+  'dj.later_15_30': 'In 15–30 min',
+  'dj.later_30_plus': 'After 30 min',
+  'dj.playNow': 'Play now',
+  'dj.markPlayed': 'Played',
+  'dj.noRequests': 'No requests',
+  'dj.oneVote': '1 vote',
+  'dj.votes': '{count} votes',
+  'dj.requestedBy': 'Requested by {names}',
+  'dj.outOfStyle': 'Outside the event\'s styles',
+  'dj.laterDue': 'Time to play',
+  'dj.settings': 'Settings',
+  'dj.eventName': 'Event name',
+  'dj.acceptedStyles': 'Accepted styles (comma separated)',
+  'dj.eventPassword': 'Event password (optional)',
+  'dj.passwordKeep': 'Password set; leave blank to keep it',
+  'dj.removePassword': 'Remove password',
+  'dj.save': 'Save',
+  'dj.endEvent': 'End event',
+  'dj.confirmEnd': 'End the event? Guests will no longer be able to request songs.',
+  'dj.stats': 'Statistics',
+  'dj.stats.total': 'Requests',
+  'dj.stats.accepted': 'Accepted',
+  'dj.stats.rejected': 'Declined',
+  'dj.stats.later': 'Later',
+  'dj.stats.played': 'Played',
+  'dj.stats.acceptanceRate': 'Acceptance rate',
+  'dj.topTracks': 'Most requested',
+  'dj.status.pending': 'Pending',
+  'dj.status.accepted': 'Accepted',
+  'dj.status.rejected': 'Declined',
+  'dj.status.later': 'Later',
+  'dj.status.now_playing': 'Playing',
+  'dj.status.played': 'Played',
+  'dj.connectionLost': 'Connection lost, reconnecting...',
+  'dj.share': 'Share',
+  'dj.qrCode': 'Event QR code',
+  'dj.qrPng': 'QR code (PNG)',
+  'dj.qrSvg': 'QR code (SVG)',
+  'dj.poster': 'Printable poster',
+  'dj.startsAt': 'Start (optional)',
+  'dj.endsAt': 'End (optional)',
+  'dj.closeBeforeEnd': 'Close requests before the end (minutes)',
+  'dj.eventStartsAt': 'Starts {time}',
+  'dj.approveMessage': 'Approve message',
+  'dj.hideMessage': 'Hide message',
+  'dj.messagePending': 'awaiting approval',
+  'dj.messageHidden': 'hidden',
+  'dj.messageFlagged': 'caught by the filter',
+  'dj.requireApproval': 'Approve messages before they show',
+  'dj.filterProfanity': 'Filter profanity',
+  'dj.blockedTerms': 'Blocked terms (comma separated)'
+};
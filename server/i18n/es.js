@@ -0,0 +1,281 @@
+module.exports = {
+  'api.notFound': 'Ruta no encontrada',
+  'api.invalidBody': 'Cuerpo de la solicitud inválido',
+  'api.internalError': 'Error interno del servidor',
+
+  'validation.required': '{field} es obligatorio',
+  'validation.notNull': '{field} no puede ser null',
+  'validation.string': '{field} debe ser texto',
+  'validation.minLength': '{field} debe tener al menos {min} caracteres',
+  'validation.maxLength': '{field} debe tener como máximo {max} caracteres',
+  'validation.pattern': '{field} tiene un formato inválido',
+  'validation.number': '{field} debe ser un número',
+  'validation.integer': '{field} debe ser un número entero',
+  'validation.min': '{field} debe ser como mínimo {min}',
+  'validation.max': '{field} debe ser como máximo {max}',
+  'validation.boolean': '{field} debe ser true o false',
+  'validation.array': '{field} debe ser una lista',
+  'validation.maxItems': '{field} debe tener como máximo {max} elementos',
+  'validation.object': '{field} debe ser un objeto',
+  'validation.enum': '{field} debe ser uno de: {values}',
+
+  'auth.loginRequired': 'Inicio de sesión necesario',
+  'auth.invalidRegistrationKey': 'Clave de registro inválida',
+  'auth.userExists': 'Usuario ya registrado',
+  'auth.registered': 'Cuenta creada con éxito',
+  'auth.invalidCredentials': 'Usuario o contraseña inválidos',
+  'auth.loggedIn': 'Sesión iniciada',
+  'auth.loggedOut': 'Sesión cerrada',
+  'auth.me': 'Usuario autenticado',
+  'auth.guestTokenRequired': 'Sesión de invitado ausente o vencida; entra al evento de nuevo',
+
+  'event.created': 'Evento creado con éxito',
+  'event.defaultName': 'Evento {code}',
+  'event.listLoaded': 'Eventos cargados',
+  'event.found': 'Evento encontrado',
+  'event.notFound': 'Evento no encontrado',
+  'event.forbidden': 'No tienes permiso para este evento',
+  'event.claimed': 'Ahora eres el dueño de este evento',
+  'event.alreadyOwned': 'Este evento ya tiene dueño',
+  'event.claimDisabled': 'Los eventos sin dueño solo se pueden reclamar con DJ_REGISTRATION_KEY configurada en el servidor',
+  'event.codeInUse': 'Código ya en uso por otro evento activo',
+  'event.updated': 'Evento actualizado',
+  'event.ended': 'Evento finalizado',
+  'event.validCode': 'Código válido',
+  'event.invalidCode': 'Código inválido o evento finalizado',
+  'event.codeFormatLoaded': 'Formato del código del evento',
+  'event.tooManyAttempts': 'Demasiados intentos fallidos. Inténtalo de nuevo en {seconds}s',
+  'event.passwordRequired': 'Este evento tiene contraseña',
+  'event.wrongPassword': 'Contraseña del evento incorrecta',
+  'event.djConnected': 'Conectado al panel del evento',
+  'event.shareLoaded': 'Enlace del evento',
+  'event.notStarted': 'El evento todavía no empezó. Inicio: {time}',
+  'event.requestsNotOpen': 'Los pedidos todavía no abrieron. Apertura: {time}',
+  'event.requestsClosed': 'Los pedidos están cerrados desde {time}',
+
+  'limits.invalid': 'Límites de pedidos inválidos',
+  'limits.unknown': 'Límite desconocido: {key}',
+  'limits.mustBeBoolean': '{key} debe ser true o false',
+  'limits.mustBePositiveInteger': '{key} debe ser un número entero positivo o null',
+  'limits.textTooLong': 'Texto demasiado largo (máximo {max} caracteres)',
+  'limits.alreadyRejected': 'Esta canción ya fue rechazada en este evento',
+  'limits.nowPlaying': 'Esta canción está sonando ahora',
+  'limits.alreadyPlayed': 'Esta canción ya sonó en este evento',
+  'limits.cooldown': 'Espera {seconds}s para hacer otro pedido',
+  'limits.maxPendingPerGuest': 'Ya tienes {max} pedidos esperando. Espera a que el DJ responda para pedir más',
+  'limits.maxPendingPerIp': 'Demasiados pedidos esperando desde esta red. Inténtalo más tarde',
+  'limits.messageTooLong': 'Mensaje demasiado largo (máximo {max} caracteres)',
+
+  'schedule.invalidDate': '{key} debe ser una fecha y hora ISO 8601 (ej.: 2026-12-31T22:00)',
+  'schedule.invalidTimeZone': 'Zona horaria inválida: {timeZone}',
+  'schedule.endBeforeStart': 'El fin del evento debe ser después del inicio',
+  'schedule.endInPast': 'El fin del evento ya pasó',
+  'schedule.invalidWindow': 'Ventana de pedidos inválida',
+  'schedule.unknownWindowField': 'Campo desconocido en la ventana de pedidos: {key}',
+  'schedule.invalidMinutes': '{key} debe ser un número entero de 0 a {max} o null',
+
+  'moderation.invalid': 'Configuración de moderación inválida',
+  'moderation.unknown': 'Opción de moderación desconocida: {key}',
+  'moderation.mustBeBoolean': '{key} debe ser true o false',
+  'moderation.invalidTerms': 'blockedTerms debe ser una lista de hasta {max} términos de hasta {maxLength} caracteres',
+  'moderation.listLoaded': 'Mensajes cargados',
+  'moderation.messageNotFound': 'Mensaje no encontrado',
+  'moderation.updated': 'Moderación actualizada',
+  'moderation.awaitingApproval': '¡Pedido enviado! Tu mensaje aparecerá cuando el DJ lo apruebe',
+
+  'catalog.loaded': 'Catálogo cargado',
+  'catalog.unreadable': 'No se pudo leer el catálogo: {detail}',
+  'catalog.empty': 'No se encontraron canciones en el archivo',
+  'catalog.imported': 'Catálogo importado',
+  'catalog.removed': 'Catálogo eliminado',
+  'catalog.trackNotInCatalog': 'Esta canción no está en el catálogo del DJ',
+
+  'request.listLoaded': 'Pedidos cargados',
+  'request.queueLoaded': 'Cola cargada',
+  'request.nowPlaying': 'Sonando ahora',
+  'request.alreadyRequested': 'Ya pediste esta canción',
+  'request.voteMerged': 'Esta canción ya fue pedida, se sumó tu voto',
+  'request.autoRejected': 'Pedido rechazado: estilo fuera de lo que acepta el evento',
+  'request.sent': 'Pedido enviado con éxito',
+  'request.anonymous': 'Anónimo',
+  'request.found': 'Pedido encontrado',
+  'request.notFound': 'Pedido no encontrado',
+  'request.statusUpdated': 'Estado actualizado',
+  'request.invalidTransition': 'No se puede cambiar de {from} a {to}',
+  'request.mineLoaded': 'Tus pedidos',
+
+  'vote.closed': 'Este pedido ya no está abierto a votos',
+  'vote.alreadyVoted': 'Ya votaste por esta canción',
+  'vote.registered': 'Voto registrado',
+  'vote.ownRequest': 'Tú pediste esta canción, no puedes quitar el voto',
+  'vote.notVoted': 'No votaste por esta canción',
+  'vote.removed': 'Voto eliminado',
+
+  'stats.loaded': 'Estadísticas cargadas',
+  'stats.topTracksLoaded': 'Canciones más pedidas cargadas',
+  'analytics.loaded': 'Análisis cargado',
+  'analytics.trendsLoaded': 'Tendencias cargadas',
+  'analytics.invalidTimeZone': 'timeZone inválido',
+  'analytics.otherOwnerForbidden': 'Solo los administradores ven las tendencias de otros DJs',
+
+  'i18n.loaded': 'Traducciones cargadas',
+
+  'search.found': 'Canciones encontradas',
+  'search.degraded': 'La búsqueda está inestable en este momento; los resultados pueden estar incompletos',
+  'search.unavailable': 'La búsqueda de canciones no está disponible en este evento',
+  'search.failed': 'Error al buscar canciones',
+
+  'spotify.notConfigured': 'Spotify no está configurado en el servidor',
+  'spotify.openUrl': 'Abre la url para autorizar Spotify',
+  'spotify.notConnectedTitle': 'Spotify no conectado',
+  'spotify.cancelled': 'La autorización fue cancelada.',
+  'spotify.connectedTitle': 'Spotify conectado',
+  'spotify.connectedMessage': 'Puedes cerrar esta ventana y volver a MusicAsk.',
+  'spotify.account': 'Cuenta de Spotify',
+  'spotify.disconnected': 'Spotify desconectado',
+  'spotify.connectFirst': 'Conecta tu cuenta de Spotify primero',
+  'spotify.playlistsLoaded': 'Playlists cargadas',
+  'spotify.connectBeforeSync': 'Conecta tu cuenta de Spotify antes de activar la sincronización',
+  'spotify.syncDisabled': 'La sincronización con Spotify está desactivada en este evento',
+  'spotify.onlyAccepted': 'Solo los pedidos aceptados o sonando se envían a Spotify',
+  'spotify.syncUpdated': 'Sincronización actualizada',
+  'spotify.invalidMode': 'spotifySync.mode debe ser uno de: {modes}',
+  'spotify.invalidPlaylist': 'spotifySync.playlistId inválido',
+  'spotify.choosePlaylist': 'Elige la playlist para sincronizar los pedidos',
+  'spotify.linkExpired': 'El enlace de conexión expiró; intenta conectar de nuevo',
+  'spotify.needsAccount': 'Conecta tu cuenta de Spotify para sincronizar',
+  'spotify.authExpired': 'La autorización de Spotify expiró; conecta la cuenta de nuevo',
+  'spotify.unavailable': 'Spotify no está disponible en este momento',
+  'spotify.rateLimitedFor': 'Spotify limitó las llamadas; inténtalo de nuevo en {seconds}s',
+  'spotify.rateLimited': 'Spotify limitó las llamadas; inténtalo de nuevo en un momento',
+  'spotify.forbidden': 'Sin permiso en Spotify para esta acción',
+  'spotify.noActiveDevice': 'Ningún reproductor de Spotify activo',
+  'spotify.playlistNotFound': 'Playlist no encontrada en Spotify',
+  'spotify.syncFailed': 'Error al enviar a Spotify',
+  'spotify.notSpotifyTrack': 'Pedido sin canción de Spotify',
+
+  'report.code': 'código {code}',
+  'report.requests': 'pedidos',
+  'report.accepted': 'aceptados',
+  'report.rejected': 'rechazados',
+  'report.played': 'sonados',
+  'report.acceptanceRate': 'tasa de aceptación',
+  'report.time': 'Hora',
+  'report.track': 'Canción',
+  'report.artist': 'Artista',
+  'report.votes': 'Votos',
+  'report.topTracks': 'Más pedidas',
+  'report.requestCount': 'Pedidos',
+  'report.noAccepted': 'Ninguna canción aceptada',
+  'report.noRequests': 'Ningún pedido',
+
+  'poster.scan': 'Apunta la cámara del celular y pide tu canción',
+  'poster.orEnterCode': 'o entra en {url} y escribe el código',
+  'poster.acceptedStyles': 'Estilos de la noche: {styles}',
+
+  'guest.language': 'Idioma',
+  'guest.enterCode': 'Ingresa el código del evento para hacer tu pedido',
+  'guest.enter': 'Entrar',
+  'guest.passwordPlaceholder': 'Contraseña del evento',
+  'guest.invalidCode': 'Código inválido o evento finalizado',
+  'guest.title': 'Pedir Canción',
+  'guest.event': 'Evento',
+  'guest.searchPlaceholder': 'Buscar canción...',
+  'guest.namePlaceholder': 'Tu nombre (opcional)',
+  'guest.messagePlaceholder': 'Dedicatoria o mensaje (opcional)',
+  'guest.send': 'Enviar Pedido',
+  'guest.back': 'Volver',
+  'guest.acceptedStyles': 'Estilos aceptados: {styles}',
+  'guest.searchUnstable': 'La búsqueda está inestable ahora. Inténtalo de nuevo en unos segundos.',
+  'guest.searchPartial': 'La búsqueda está inestable; los resultados pueden estar incompletos.',
+  'guest.searchUnavailable': 'La búsqueda de canciones no está disponible ahora. Pídeselo al DJ en persona.',
+  'guest.noResults': 'No se encontraron canciones',
+  'guest.outOfStyle': 'Fuera de los estilos del evento',
+  'guest.anonymous': 'Anónimo',
+  'guest.myRequests': 'Tus pedidos',
+  'guest.queue': 'Cola de pedidos',
+  'guest.nowPlaying': 'Sonando ahora: {track}',
+  'guest.status.pending': 'Esperando...',
+  'guest.status.accepted': 'Programada para sonar',
+  'guest.status.rejected': 'No disponible',
+  'guest.status.later': 'Programada para más tarde',
+  'guest.status.nowPlaying': '¡Sonando ahora!',
+  'guest.status.played': 'Ya sonó',
+  'guest.otherDevice': 'Continuar en otro dispositivo',
+  'guest.otherDeviceCopied': 'Enlace copiado. Ábrelo en el otro dispositivo para ver tus pedidos allí.',
+  'guest.otherDevicePrompt': 'Abre este enlace en el otro dispositivo:',
+
+  'dj.title': 'Panel del DJ',
+  'dj.username': 'Usuario',
+  'dj.password': 'Contraseña',
+  'dj.login': 'Entrar',
+  'dj.logout': 'Salir',
+  'dj.events': 'Tus eventos',
+  'dj.noEvents': 'Ningún evento todavía',
+  'dj.newEventName': 'Nombre del nuevo evento',
+  'dj.createEvent': 'Crear evento',
+  'dj.eventCode': 'Código {code}',
+  'dj.eventEnded': 'Finalizado',
+  'dj.backToEvents': 'Eventos',
+  'dj.filter.all': 'Todos',
+  'dj.filter.pending': 'Pendientes',
+  'dj.filter.accepted': 'Aceptados',
+  'dj.filter.later': 'Más tarde',
+  'dj.filter.now_playing': 'Sonando',
+  'dj.filter.played': 'Sonados',
+  'dj.filter.rejected': 'Rechazados',
+  'dj.accept': 'Aceptar',
+  'dj.reject': 'Rechazar',
+  'dj.later_5_15': 'En 5–15 min',
+  'dj.later_15_30': 'En 15–30 min',
+  'dj.later_30_plus': 'Después de 30 min',
+  'dj.playNow': 'Sonar ahora',
+  'dj.markPlayed': 'Ya sonó',
+  'dj.noRequests': 'Ningún pedido',
+  'dj.oneVote': '1 voto',
+  'dj.votes': '{count} votos',
+  'dj.requestedBy': 'Pedido por {names}',
+  'dj.outOfStyle': 'Fuera de los estilos del evento',
+  'dj.laterDue': 'Hora de sonar',
+  'dj.settings': 'Configuración',
+  'dj.eventName': 'Nombre del evento',
+  'dj.acceptedStyles': 'Estilos aceptados (separados por coma)',
+  'dj.eventPassword': 'Contraseña del evento (opcional)',
+  'dj.passwordKeep': 'Contraseña definida; déjala en blanco para mantenerla',
+  'dj.removePassword': 'Quitar contraseña',
+  'dj.save': 'Guardar',
+  'dj.endEvent': 'Finalizar evento',
+  'dj.confirmEnd': '¿Finalizar el evento? Los invitados ya no podrán pedir canciones.',
+  'dj.stats': 'Estadísticas',
+  'dj.stats.total': 'Pedidos',
+  'dj.stats.accepted': 'Aceptados',
+  'dj.stats.rejected': 'Rechazados',
+  'dj.stats.later': 'Más tarde',
+  'dj.stats.played': 'Sonados',
+  'dj.stats.acceptanceRate': 'Tasa de aceptación',
+  'dj.topTracks': 'Más pedidas',
+  'dj.status.pending': 'Pendiente',
+  'dj.status.accepted': 'Aceptado',
+  'dj.status.rejected': 'Rechazado',
+  'dj.status.later': 'Más tarde',
+  'dj.status.now_playing': 'Sonando',
+  'dj.status.played': 'Sonó',
+  'dj.connectionLost': 'Conexión perdida, reconectando...',
+  'dj.share': 'Compartir',
+  'dj.qrCode': 'Código QR del evento',
+  'dj.qrPng': 'Código QR (PNG)',
+  'dj.qrSvg': 'Código QR (SVG)',
+  'dj.poster': 'Cartel para imprimir',
+  'dj.startsAt': 'Inicio (opcional)',
+  'dj.endsAt': 'Fin (opcional)',
+  'dj.closeBeforeEnd': 'Cerrar pedidos antes del fin (minutos)',
+  'dj.eventStartsAt': 'Empieza {time}',
+  'dj.approveMessage': 'Aprobar mensaje',
+  'dj.hideMessage': 'Ocultar mensaje',
+  'dj.messagePending': 'esperando aprobación',
+  'dj.messageHidden': 'oculto',
+  'dj.messageFlagged': 'atrapado por el filtro',
+  'dj.requireApproval': 'Aprobar mensajes antes de que aparezcan',
+  'dj.filterProfanity': 'Filtrar groserías',
+  'dj.blockedTerms': 'Términos bloqueados (separados por coma)'
+};
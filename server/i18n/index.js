@@ -0,0 +1,83 @@
+const catalogs = {
+  'pt-BR': require('./pt-BR'),
+  en: require('./en'),
+  es: require('./es')
+};
+
+const LOCALES = Object.keys(catalogs);
+const DEFAULT_LOCALE = 'pt-BR';
+
+// "en-US" → en, "pt" → pt-BR, "es-419" → es; null se não atendemos o idioma
+function matchLocale(tag) {
+  if (typeof tag !== 'string' || !tag.trim()) return null;
+  const lower = tag.trim().toLowerCase();
+  const exact = LOCALES.find(locale => locale.toLowerCase() === lower);
+  if (exact) return exact;
+  const language = lower.split('-')[0];
+  return LOCALES.find(locale => locale.toLowerCase().split('-')[0] === language) || null;
+}
+
+function parseAcceptLanguage(header) {
+  if (!header) return null;
+  const preferences = String(header).split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { tag, q: q ? parseFloat(q.slice(2)) : 1, index };
+    })
+    .filter(p => p.tag && p.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+
+  for (const preference of preferences) {
+    const locale = matchLocale(preference.tag);
+    if (locale) return locale;
+  }
+  return null;
+}
+
+// Chave sem tradução cai no pt-BR e, por último, na própria chave
+function translate(locale, key, params = {}) {
+  const catalog = catalogs[locale] || catalogs[DEFAULT_LOCALE];
+  const template = catalog[key] || catalogs[DEFAULT_LOCALE][key] || key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+// Idioma pedido na query (?lang=) ou no Accept-Language; sem nenhum, vale o idioma do evento
+// (req.event, quando a rota carrega um) e depois o padrão
+function requestLocale(req) {
+  return req.locale || (req.event && req.event.locale) || DEFAULT_LOCALE;
+}
+
+function i18nMiddleware(req, res, next) {
+  req.locale = matchLocale(req.query.lang) || parseAcceptLanguage(req.headers['accept-language']);
+  req.t = (key, params) => translate(requestLocale(req), key, params);
+  next();
+}
+
+// Páginas servidas em client/dist; cada uma recebe só as próprias mensagens
+const CLIENT_PAGES = ['guest', 'dj'];
+
+function clientMessages(page = 'guest') {
+  const messages = {};
+  LOCALES.forEach(locale => {
+    messages[locale] = {};
+    Object.entries(catalogs[locale])
+      .filter(([key]) => key.startsWith(`${page}.`))
+      .forEach(([key, value]) => {
+        messages[locale][key] = value;
+      });
+  });
+  return messages;
+}
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LOCALE,
+  CLIENT_PAGES,
+  matchLocale,
+  parseAcceptLanguage,
+  translate,
+  requestLocale,
+  i18nMiddleware,
+  clientMessages
+};
@@ -0,0 +1,281 @@
+module.exports = {
+  'api.notFound': 'Rota não encontrada',
+  'api.invalidBody': 'Corpo da requisição inválido',
+  'api.internalError': 'Erro interno do servidor',
+
+  'validation.required': '{field} é obrigatório',
+  'validation.notNull': '{field} não pode ser null',
+  'validation.string': '{field} deve ser texto',
+  'validation.minLength': '{field} deve ter pelo menos {min} caracteres',
+  'validation.maxLength': '{field} deve ter no máximo {max} caracteres',
+  'validation.pattern': '{field} em formato inválido',
+  'validation.number': '{field} deve ser um número',
+  'validation.integer': '{field} deve ser um número inteiro',
+  'validation.min': '{field} deve ser no mínimo {min}',
+  'validation.max': '{field} deve ser no máximo {max}',
+  'validation.boolean': '{field} deve ser true ou false',
+  'validation.array': '{field} deve ser uma lista',
+  'validation.maxItems': '{field} deve ter no máximo {max} itens',
+  'validation.object': '{field} deve ser um objeto',
+  'validation.enum': '{field} deve ser um de: {values}',
+
+  'auth.loginRequired': 'Login necessário',
+  'auth.invalidRegistrationKey': 'Chave de cadastro inválida',
+  'auth.userExists': 'Usuário já cadastrado',
+  'auth.registered': 'Conta criada com sucesso',
+  'auth.invalidCredentials': 'Usuário ou senha inválidos',
+  'auth.loggedIn': 'Login realizado',
+  'auth.loggedOut': 'Logout realizado',
+  'auth.me': 'Usuário autenticado',
+  'auth.guestTokenRequired': 'Sessão do convidado ausente ou expirada; entre no evento de novo',
+
+  'event.created': 'Evento criado com sucesso',
+  'event.defaultName': 'Evento {code}',
+  'event.listLoaded': 'Eventos carregados',
+  'event.found': 'Evento encontrado',
+  'event.notFound': 'Evento não encontrado',
+  'event.forbidden': 'Você não tem permissão para este evento',
+  'event.claimed': 'Você assumiu este evento',
+  'event.alreadyOwned': 'Este evento já tem dono',
+  'event.claimDisabled': 'Eventos sem dono só podem ser assumidos com DJ_REGISTRATION_KEY configurada no servidor',
+  'event.codeInUse': 'Código já em uso por outro evento ativo',
+  'event.updated': 'Evento atualizado',
+  'event.ended': 'Evento encerrado',
+  'event.validCode': 'Código válido',
+  'event.invalidCode': 'Código inválido ou evento encerrado',
+  'event.codeFormatLoaded': 'Formato do código do evento',
+  'event.tooManyAttempts': 'Muitas tentativas erradas. Tente de novo em {seconds}s',
+  'event.passwordRequired': 'Este evento tem senha',
+  'event.wrongPassword': 'Senha do evento incorreta',
+  'event.djConnected': 'Conectado ao painel do evento',
+  'event.shareLoaded': 'Link do evento',
+  'event.notStarted': 'O evento ainda não começou. Início: {time}',
+  'event.requestsNotOpen': 'Os pedidos ainda não abriram. Abertura: {time}',
+  'event.requestsClosed': 'Os pedidos estão fechados desde {time}',
+
+  'limits.invalid': 'Limites de pedidos inválidos',
+  'limits.unknown': 'Limite desconhecido: {key}',
+  'limits.mustBeBoolean': '{key} deve ser true ou false',
+  'limits.mustBePositiveInteger': '{key} deve ser um número inteiro positivo ou null',
+  'limits.textTooLong': 'Texto muito longo (máximo {max} caracteres)',
+  'limits.alreadyRejected': 'Essa música já foi recusada neste evento',
+  'limits.nowPlaying': 'Essa música está tocando agora',
+  'limits.alreadyPlayed': 'Essa música já tocou neste evento',
+  'limits.cooldown': 'Aguarde {seconds}s para fazer outro pedido',
+  'limits.maxPendingPerGuest': 'Você já tem {max} pedidos aguardando. Espere o DJ responder para pedir mais',
+  'limits.maxPendingPerIp': 'Muitos pedidos aguardando vindos desta rede. Tente mais tarde',
+  'limits.messageTooLong': 'Mensagem muito longa (máximo {max} caracteres)',
+
+  'schedule.invalidDate': '{key} deve ser uma data e hora ISO 8601 (ex.: 2026-12-31T22:00)',
+  'schedule.invalidTimeZone': 'Fuso horário inválido: {timeZone}',
+  'schedule.endBeforeStart': 'O fim do evento deve ser depois do início',
+  'schedule.endInPast': 'O fim do evento já passou',
+  'schedule.invalidWindow': 'Janela de pedidos inválida',
+  'schedule.unknownWindowField': 'Campo desconhecido na janela de pedidos: {key}',
+  'schedule.invalidMinutes': '{key} deve ser um número inteiro de 0 a {max} ou null',
+
+  'moderation.invalid': 'Configuração de moderação inválida',
+  'moderation.unknown': 'Opção de moderação desconhecida: {key}',
+  'moderation.mustBeBoolean': '{key} deve ser true ou false',
+  'moderation.invalidTerms': 'blockedTerms deve ser uma lista de até {max} termos com até {maxLength} caracteres',
+  'moderation.listLoaded': 'Mensagens carregadas',
+  'moderation.messageNotFound': 'Mensagem não encontrada',
+  'moderation.updated': 'Moderação atualizada',
+  'moderation.awaitingApproval': 'Pedido enviado! Sua mensagem aparece depois que o DJ aprovar',
+
+  'catalog.loaded': 'Acervo carregado',
+  'catalog.unreadable': 'Não foi possível ler o acervo: {detail}',
+  'catalog.empty': 'Nenhuma música encontrada no arquivo',
+  'catalog.imported': 'Acervo importado',
+  'catalog.removed': 'Acervo removido',
+  'catalog.trackNotInCatalog': 'Essa música não está no acervo do DJ',
+
+  'request.listLoaded': 'Pedidos carregados',
+  'request.queueLoaded': 'Fila carregada',
+  'request.nowPlaying': 'Tocando agora',
+  'request.alreadyRequested': 'Você já pediu essa música',
+  'request.voteMerged': 'Essa música já foi pedida, seu voto foi somado',
+  'request.autoRejected': 'Pedido recusado: estilo fora do que o evento aceita',
+  'request.sent': 'Pedido enviado com sucesso',
+  'request.anonymous': 'Anônimo',
+  'request.found': 'Pedido encontrado',
+  'request.notFound': 'Pedido não encontrado',
+  'request.statusUpdated': 'Status atualizado',
+  'request.invalidTransition': 'Não é possível mudar de {from} para {to}',
+  'request.mineLoaded': 'Seus pedidos',
+
+  'vote.closed': 'Esse pedido não está mais aberto para votos',
+  'vote.alreadyVoted': 'Você já votou nessa música',
+  'vote.registered': 'Voto registrado',
+  'vote.ownRequest': 'Você pediu essa música, não dá para tirar o voto',
+  'vote.notVoted': 'Você não votou nessa música',
+  'vote.removed': 'Voto removido',
+
+  'stats.loaded': 'Estatísticas carregadas',
+  'stats.topTracksLoaded': 'Top tracks carregados',
+  'analytics.loaded': 'Análise carregada',
+  'analytics.trendsLoaded': 'Tendências carregadas',
+  'analytics.invalidTimeZone': 'timeZone inválido',
+  'analytics.otherOwnerForbidden': 'Só administradores veem as tendências de outros DJs',
+
+  'i18n.loaded': 'Traduções carregadas',
+
+  'search.found': 'Músicas encontradas',
+  'search.degraded': 'A busca está instável no momento; os resultados podem estar incompletos',
+  'search.unavailable': 'A busca de músicas não está disponível neste evento',
+  'search.failed': 'Erro ao buscar músicas',
+
+  'spotify.notConfigured': 'Spotify não configurado no servidor',
+  'spotify.openUrl': 'Abra a url para autorizar o Spotify',
+  'spotify.notConnectedTitle': 'Spotify não conectado',
+  'spotify.cancelled': 'A autorização foi cancelada.',
+  'spotify.connectedTitle': 'Spotify conectado',
+  'spotify.connectedMessage': 'Pode fechar esta janela e voltar ao MusicAsk.',
+  'spotify.account': 'Conta do Spotify',
+  'spotify.disconnected': 'Spotify desconectado',
+  'spotify.connectFirst': 'Conecte sua conta do Spotify primeiro',
+  'spotify.playlistsLoaded': 'Playlists carregadas',
+  'spotify.connectBeforeSync': 'Conecte sua conta do Spotify antes de ativar a sincronização',
+  'spotify.syncDisabled': 'Sincronização com o Spotify desativada neste evento',
+  'spotify.onlyAccepted': 'Só pedidos aceitos ou tocando são enviados ao Spotify',
+  'spotify.syncUpdated': 'Sincronização atualizada',
+  'spotify.invalidMode': 'spotifySync.mode deve ser um de: {modes}',
+  'spotify.invalidPlaylist': 'spotifySync.playlistId inválido',
+  'spotify.choosePlaylist': 'Escolha a playlist para sincronizar os pedidos',
+  'spotify.linkExpired': 'Link de conexão expirado; tente conectar de novo',
+  'spotify.needsAccount': 'Conecte sua conta do Spotify para sincronizar',
+  'spotify.authExpired': 'Autorização do Spotify expirada; conecte a conta de novo',
+  'spotify.unavailable': 'Spotify indisponível no momento',
+  'spotify.rateLimitedFor': 'Spotify limitou as chamadas; tente de novo em {seconds}s',
+  'spotify.rateLimited': 'Spotify limitou as chamadas; tente de novo em instantes',
+  'spotify.forbidden': 'Sem permissão no Spotify para essa ação',
+  'spotify.noActiveDevice': 'Nenhum player do Spotify ativo',
+  'spotify.playlistNotFound': 'Playlist não encontrada no Spotify',
+  'spotify.syncFailed': 'Falha ao enviar para o Spotify',
+  'spotify.notSpotifyTrack': 'Pedido sem faixa do Spotify',
+
+  'report.code': 'código {code}',
+  'report.requests': 'pedidos',
+  'report.accepted': 'aceitos',
+  'report.rejected': 'recusados',
+  'report.played': 'tocados',
+  'report.acceptanceRate': 'taxa de aceite',
+  'report.time': 'Horário',
+  'report.track': 'Música',
+  'report.artist': 'Artista',
+  'report.votes': 'Votos',
+  'report.topTracks': 'Mais pedidas',
+  'report.requestCount': 'Pedidos',
+  'report.noAccepted': 'Nenhuma música aceita',
+  'report.noRequests': 'Nenhum pedido',
+
+  'poster.scan': 'Aponte a câmera do celular e peça sua música',
+  'poster.orEnterCode': 'ou acesse {url} e digite o código',
+  'poster.acceptedStyles': 'Estilos da noite: {styles}',
+
+  'guest.language': 'Idioma',
+  'guest.enterCode': 'Digite o código do evento para fazer seu pedido',
+  'guest.enter': 'Entrar',
+  'guest.passwordPlaceholder': 'Senha do evento',
+  'guest.invalidCode': 'Código inválido ou evento encerrado',
+  'guest.title': 'Pedir Música',
+  'guest.event': 'Evento',
+  'guest.searchPlaceholder': 'Buscar música...',
+  'guest.namePlaceholder': 'Seu nome (opcional)',
+  'guest.messagePlaceholder': 'Dedicatória ou recado (opcional)',
+  'guest.send': 'Enviar Pedido',
+  'guest.back': 'Voltar',
+  'guest.acceptedStyles': 'Estilos aceitos: {styles}',
+  'guest.searchUnstable': 'A busca está instável agora. Tente de novo em alguns segundos.',
+  'guest.searchPartial': 'A busca está instável; os resultados podem estar incompletos.',
+  'guest.searchUnavailable': 'A busca de músicas não está disponível agora. Peça ao DJ pessoalmente.',
+  'guest.noResults': 'Nenhuma música encontrada',
+  'guest.outOfStyle': 'Fora dos estilos do evento',
+  'guest.anonymous': 'Anônimo',
+  'guest.myRequests': 'Seus pedidos',
+  'guest.queue': 'Fila de pedidos',
+  'guest.nowPlaying': 'Tocando agora: {track}',
+  'guest.status.pending': 'Aguardando...',
+  'guest.status.accepted': 'Programada para tocar',
+  'guest.status.rejected': 'Não disponível',
+  'guest.status.later': 'Agendada para mais tarde',
+  'guest.status.nowPlaying': 'Tocando agora!',
+  'guest.status.played': 'Já tocou',
+  'guest.otherDevice': 'Continuar em outro aparelho',
+  'guest.otherDeviceCopied': 'Link copiado. Abra no outro aparelho para ver seus pedidos lá.',
+  'guest.otherDevicePrompt': 'Abra este link no outro aparelho:',
+
+  'dj.title': 'Painel do DJ',
+  'dj.username': 'Usuário',
+  'dj.password': 'Senha',
+  'dj.login': 'Entrar',
+  'dj.logout': 'Sair',
+  'dj.events': 'Seus eventos',
+  'dj.noEvents': 'Nenhum evento ainda',
+  'dj.newEventName': 'Nome do novo evento',
+  'dj.createEvent': 'Criar evento',
+  'dj.eventCode': 'Código {code}',
+  'dj.eventEnded': 'Encerrado',
+  'dj.backToEvents': 'Eventos',
+  'dj.filter.all': 'Todos',
+  'dj.filter.pending': 'Pendentes',
+  'dj.filter.accepted': 'Aceitos',
+  'dj.filter.later': 'Mais tarde',
+  'dj.filter.now_playing': 'Tocando',
+  'dj.filter.played': 'Tocados',
+  'dj.filter.rejected': 'Recusados',
+  'dj.accept': 'Aceitar',
+  'dj.reject': 'Recusar',
+  'dj.later_5_15': 'Em 5–15 min',
+  'dj.later_15_30': 'Em 15–30 min',
+  'dj.later_30_plus': 'Depois de 30 min',
+  'dj.playNow': 'Tocar agora',
+  'dj.markPlayed': 'Já tocou',
+  'dj.noRequests': 'Nenhum pedido',
+  'dj.oneVote': '1 voto',
+  'dj.votes': '{count} votos',
+  'dj.requestedBy': 'Pedido por {names}',
+  'dj.outOfStyle': 'Fora dos estilos do evento',
+  'dj.laterDue': 'Hora de tocar',
+  'dj.settings': 'Configurações',
+  'dj.eventName': 'Nome do evento',
+  'dj.acceptedStyles': 'Estilos aceitos (separados por vírgula)',
+  'dj.eventPassword': 'Senha do evento (opcional)',
+  'dj.passwordKeep': 'Senha definida; deixe em branco para manter',
+  'dj.removePassword': 'Remover senha',
+  'dj.save': 'Salvar',
+  'dj.endEvent': 'Encerrar evento',
+  'dj.confirmEnd': 'Encerrar o evento? Os convidados não vão mais poder pedir músicas.',
+  'dj.stats': 'Estatísticas',
+  'dj.stats.total': 'Pedidos',
+  'dj.stats.accepted': 'Aceitos',
+  'dj.stats.rejected': 'Recusados',
+  'dj.stats.later': 'Mais tarde',
+  'dj.stats.played': 'Tocados',
+  'dj.stats.acceptanceRate': 'Taxa de aceite',
+  'dj.topTracks': 'Mais pedidas',
+  'dj.status.pending': 'Pendente',
+  'dj.status.accepted': 'Aceito',
+  'dj.status.rejected': 'Recusado',
+  'dj.status.later': 'Mais tarde',
+  'dj.status.now_playing': 'Tocando',
+  'dj.status.played': 'Tocou',
+  'dj.connectionLost': 'Conexão perdida, tentando reconectar...',
+  'dj.share': 'Compartilhar',
+  'dj.qrCode': 'QR code do evento',
+  'dj.qrPng': 'QR code (PNG)',
+  'dj.qrSvg': 'QR code (SVG)',
+  'dj.poster': 'Cartaz para imprimir',
+  'dj.startsAt': 'Início (opcional)',
+  'dj.endsAt': 'Fim (opcional)',
+  'dj.closeBeforeEnd': 'Fechar pedidos antes do fim (minutos)',
+  'dj.eventStartsAt': 'Começa {time}',
+  'dj.approveMessage': 'Aprovar recado',
+  'dj.hideMessage': 'Esconder recado',
+  'dj.messagePending': 'aguardando aprovação',
+  'dj.messageHidden': 'escondido',
+  'dj.messageFlagged': 'caiu no filtro',
+  'dj.requireApproval': 'Aprovar recados antes de aparecerem',
+  'dj.filterProfanity': 'Filtrar palavrões',
+  'dj.blockedTerms': 'Termos bloqueados (separados por vírgula)'
+};
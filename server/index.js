@@ -5,7 +5,31 @@ const { Server } = require('socket.io');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 const fs = require('fs');
-const axios = require('axios');
+const auth = require('./auth');
+const styles = require('./styles');
+const search = require('./search');
+const catalog = require('./catalog');
+const { createStorage, importLegacyJson } = require('./storage');
+const requestViews = require('./requests');
+const eventViews = require('./events');
+const eventCodes = require('./eventCodes');
+const { createAttemptThrottle } = require('./attemptThrottle');
+const requestLimits = require('./requestLimits');
+const moderation = require('./moderation');
+const requestStatus = require('./requestStatus');
+const { startLaterScheduler } = require('./laterScheduler');
+const eventSchedule = require('./eventSchedule');
+const { startEventScheduler } = require('./eventScheduler');
+const spotifySync = require('./spotifySync');
+const eventStats = require('./eventStats');
+const eventExport = require('./eventExport');
+const eventShare = require('./eventShare');
+const analytics = require('./analytics');
+const { normalizeText, isValidTimeZone } = require('./text');
+const { trackKey } = require('./trackIdentity');
+const { sendResponse, sendError } = require('./respond');
+const { validate } = require('./validation');
+const i18n = require('./i18n');
 
 const app = express();
 const server = http.createServer(app);
@@ -16,262 +40,1193 @@ const io = new Server(server, {
   }
 });
 
+// Atrás de proxy reverso o IP do convidado vem do X-Forwarded-For. TRUST_PROXY segue o
+// "trust proxy" do Express: true, o número de proxies ou uma lista de IPs/sub-redes
+function parseTrustProxy(value) {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return Number(value);
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
 app.use(cors());
-app.use(express.json());
+app.use(i18n.i18nMiddleware);
+// O envio do acervo lê o próprio corpo (maior) só depois da autenticação
+const CATALOG_UPLOAD_PATH = /^\/api\/events\/[^/]+\/catalog\/?$/;
+const jsonBody = express.json();
+app.use((req, res, next) => {
+  if (req.method === 'POST' && CATALOG_UPLOAD_PATH.test(req.path)) return next();
+  jsonBody(req, res, next);
+});
 
 const DATA_FILE = path.join(__dirname, 'data.json');
 
-// Spotify API Configuration
-let spotifyToken = null;
-let tokenExpiry = null;
+const storage = createStorage();
 
-async function getSpotifyToken() {
-  const clientId = process.env.SPOTIFY_CLIENT_ID;
-  const clientSecret = process.env.SPOTIFY_CLIENT_SECRET;
+if (importLegacyJson(storage, DATA_FILE)) {
+  console.log(`Imported legacy ${DATA_FILE} into storage`);
+}
 
-  if (!clientId || !clientSecret) {
-    console.warn('Spotify credentials not configured. Using mock data.');
-    return null;
-  }
+const { LATER_STATUSES, REQUEST_STATUSES } = requestViews;
+
+const EVENT_CODE_FORMAT = eventCodes.getCodeFormat();
+
+// Tentativas erradas de código ou senha no POST /api/events/validate. Cada convidado (sessão
+// + IP) tem o próprio limite, e a senha conta separado por evento; o limite por IP é bem
+// mais alto, para uma pessoa errando não travar a festa inteira atrás do mesmo Wi-Fi
+const VALIDATE_WINDOW_MS = (Number(process.env.VALIDATE_WINDOW_SECONDS) || 600) * 1000;
+const VALIDATE_LOCKOUT_MS = (Number(process.env.VALIDATE_LOCKOUT_SECONDS) || 900) * 1000;
+const guestValidateThrottle = createAttemptThrottle({
+  maxAttempts: Number(process.env.VALIDATE_MAX_ATTEMPTS) || 10,
+  windowMs: VALIDATE_WINDOW_MS,
+  lockoutMs: VALIDATE_LOCKOUT_MS
+});
+const ipValidateThrottle = createAttemptThrottle({
+  maxAttempts: Number(process.env.VALIDATE_MAX_ATTEMPTS_PER_IP) || 100,
+  windowMs: VALIDATE_WINDOW_MS,
+  lockoutMs: VALIDATE_LOCKOUT_MS
+});
+
+search.setCatalogLoader(eventId => storage.find('catalogTracks', { eventId }));
+
+const spotifyAccounts = spotifySync.createSpotifySync({
+  storage,
+  onRequestUpdate: request => emitRequestUpdate(request)
+});
+
+// Sessão anônima do convidado: o token sai do POST /api/events/validate e volta no
+// header X-Guest-Token. Como nas sessões de DJ, guardamos só o hash. Sem passar pelo
+// validate (ou pelo join_guest) por GUEST_SESSION_TTL_DAYS, a sessão vence.
+const GUEST_SESSION_TTL = (Number(process.env.GUEST_SESSION_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const GUEST_SESSION_PRUNE_INTERVAL = 60 * 60 * 1000;
+
+function isGuestSessionExpired(session, now = Date.now()) {
+  return (session.lastSeenAt || session.createdAt) + GUEST_SESSION_TTL <= now;
+}
+
+function findGuestSession(token) {
+  if (typeof token !== 'string' || !token) return null;
+  const session = storage.get('guestSessions', auth.hashToken(token));
+  return session && !isGuestSessionExpired(session) ? session : null;
+}
+
+function touchGuestSession(session) {
+  session.lastSeenAt = Date.now();
+  storage.update('guestSessions', session);
+}
+
+function pruneGuestSessions(now = Date.now()) {
+  const expired = storage.find('guestSessions').filter(session => isGuestSessionExpired(session, now));
+  if (expired.length === 0) return;
+  storage.transaction(() => {
+    expired.forEach(session => storage.remove('guestSessions', session.id));
+  });
+  console.log(`Removed ${expired.length} expired guest sessions`);
+}
+
+function createGuestSession(guestId) {
+  const token = auth.generateToken();
+  const now = Date.now();
+  storage.insert('guestSessions', {
+    id: auth.hashToken(token),
+    guestId: guestId || uuidv4(),
+    createdAt: now,
+    lastSeenAt: now
+  });
+  return token;
+}
 
-  if (spotifyToken && tokenExpiry && Date.now() < tokenExpiry) {
-    return spotifyToken;
+// Eventos com senha só atendem convidados cuja sessão passou pelo validate com a senha
+function guestCanAccess(req, event) {
+  return eventViews.hasUnlocked(findGuestSession(req.get('X-Guest-Token')), event);
+}
+
+// Identificador anônimo do convidado, sempre o da sessão do token (null sem sessão). O
+// guestId mandado pelo cliente só vale uma vez, no validate, quando vira a sessão.
+function getGuestId(req) {
+  const session = findGuestSession(req.get('X-Guest-Token'));
+  return session ? session.guestId : null;
+}
+
+// Pedir e votar exigem a sessão do convidado, que sai do POST /api/events/validate
+function requireGuestSession(req, res, next) {
+  const session = findGuestSession(req.get('X-Guest-Token'));
+  if (!session) {
+    return sendError(res, 401, req.t('auth.guestTokenRequired'));
   }
+  req.guestSession = session;
+  next();
+}
 
-  try {
-    const response = await axios.post('https://accounts.spotify.com/api/token', 
-      'grant_type=client_credentials', {
-      headers: {
-        'Authorization': 'Basic ' + Buffer.from(clientId + ':' + clientSecret).toString('base64'),
-        'Content-Type': 'application/x-www-form-urlencoded'
-      }
+function createSession(user) {
+  const token = auth.generateToken();
+  const now = Date.now();
+  storage.transaction(() => {
+    storage.find('sessions', { userId: user.id })
+      .filter(s => s.expiresAt <= now)
+      .forEach(s => storage.remove('sessions', s.id));
+    storage.insert('sessions', {
+      id: auth.hashToken(token),
+      userId: user.id,
+      createdAt: now,
+      expiresAt: now + auth.SESSION_TTL
     });
+  });
+  return token;
+}
 
-    spotifyToken = response.data.access_token;
-    tokenExpiry = Date.now() + (response.data.expires_in * 1000);
-    return spotifyToken;
-  } catch (error) {
-    console.error('Error getting Spotify token:', error.message);
-    return null;
-  }
+function findSessionUser(token) {
+  if (!token) return null;
+  const session = storage.get('sessions', auth.hashToken(token));
+  if (!session || session.expiresAt <= Date.now()) return null;
+  return storage.get('users', session.userId);
 }
 
-async function searchSpotifyTracks(query) {
-  const token = await getSpotifyToken();
-  
-  if (!token) {
-    // Retorna dados mock se não houver token
-    return [
-      { name: query, artist: 'Artista 1', image: null, uri: null },
-      { name: query + ' (Remix)', artist: 'Artista 2', image: null, uri: null },
-      { name: 'Outra ' + query, artist: 'Artista 3', image: null, uri: null }
-    ];
+function requireAuth(req, res, next) {
+  const user = findSessionUser(auth.getBearerToken(req));
+  if (!user) {
+    return sendError(res, 401, req.t('auth.loginRequired'));
   }
+  req.user = user;
+  next();
+}
 
-  try {
-    const response = await axios.get('https://api.spotify.com/v1/search', {
-      params: {
-        q: query,
-        type: 'track',
-        limit: 10
-      },
-      headers: {
-        'Authorization': 'Bearer ' + token
-      }
-    });
+// Eventos criados antes das contas de DJ não têm dono e ficam só leitura até um DJ
+// assumir com POST /api/events/:eventId/claim
+function canManageEvent(user, event) {
+  return Boolean(event.ownerId) && event.ownerId === user.id;
+}
 
-    return response.data.tracks.items.map(track => ({
-      name: track.name,
-      artist: track.artists.map(a => a.name).join(', '),
-      image: track.album.images[0]?.url || null,
-      uri: track.uri
-    }));
-  } catch (error) {
-    console.error('Error searching Spotify:', error.message);
-    return [];
+// Leituras abertas do evento (pedidos, estatísticas, música tocando): o DJ dono ou um
+// convidado que passaria pelo validate (com a senha já digitada, se o evento tiver)
+function canReadEvent(req, event) {
+  const user = findSessionUser(auth.getBearerToken(req));
+  return Boolean(user && canManageEvent(user, event)) || guestCanAccess(req, event);
+}
+
+function requireEventOwner(req, res, next) {
+  const event = storage.get('events', req.params.eventId);
+  if (!event) {
+    return sendError(res, 404, req.t('event.notFound'));
+  }
+  if (!canManageEvent(req.user, event)) {
+    return sendError(res, 403, req.t('event.forbidden'));
   }
+  req.event = event;
+  next();
 }
 
-let data = {
-  events: [],
-  requests: []
-};
+// Salas do Socket.IO: convidados só recebem o público do evento e os próprios pedidos,
+// a fila completa (com nomes de quem pediu) vai só para o DJ dono do evento
+function eventRoom(eventId) {
+  return `event:${eventId}`;
+}
 
-function loadData() {
-  try {
-    if (fs.existsSync(DATA_FILE)) {
-      const rawData = fs.readFileSync(DATA_FILE, 'utf8');
-      data = JSON.parse(rawData);
+function djRoom(eventId) {
+  return `dj:${eventId}`;
+}
+
+function requestRoom(requestId) {
+  return `request:${requestId}`;
+}
+
+function userRoom(userId) {
+  return `user:${userId}`;
+}
+
+function guestRoom(guestId) {
+  return `guest:${guestId}`;
+}
+
+function emitQueueUpdate(request) {
+  io.to(eventRoom(request.eventId)).emit('queue_updated', requestViews.publicRequest(request));
+}
+
+function emitRequestUpdate(request) {
+  io.to(djRoom(request.eventId)).emit('request_updated', requestViews.djRequest(request));
+  io.to(requestRoom(request.id)).emit('request_updated', requestViews.guestRequest(request));
+  emitQueueUpdate(request);
+}
+
+// O DJ recebe o evento completo; a sala dos convidados, a versão pública (sem o código)
+function emitEventUpdate(event, name = 'event_updated') {
+  io.to(djRoom(event.id)).emit(name, eventViews.ownerEvent(event));
+  io.to(eventRoom(event.id)).except(djRoom(event.id)).emit(name, eventViews.publicEvent(event));
+}
+
+// Os outros aparelhos do mesmo convidado (conectados com join_guest) passam a acompanhar o pedido
+function watchGuestRequest(guestId, request) {
+  io.in(guestRoom(guestId)).socketsJoin(requestRoom(request.id));
+}
+
+// Aplica uma transição já validada. Tocar uma música encerra a que estava tocando no evento.
+function changeRequestStatus(request, status, by) {
+  const changed = [];
+  let nowPlayingChanged = false;
+
+  storage.transaction(() => {
+    if (status === 'now_playing') {
+      storage.find('requests', { eventId: request.eventId, status: 'now_playing' })
+        .filter(r => r.id !== request.id)
+        .forEach(current => {
+          requestStatus.applyTransition(current, 'played', { by });
+          storage.update('requests', current);
+          changed.push(current);
+        });
     }
-  } catch (error) {
-    console.log('No existing data file, starting fresh');
+
+    requestStatus.applyTransition(request, status, { by });
+    storage.update('requests', request);
+    changed.push(request);
+
+    const event = storage.get('events', request.eventId);
+    if (!event) return;
+    if (status === 'now_playing') {
+      event.nowPlayingRequestId = request.id;
+      nowPlayingChanged = true;
+    } else if (event.nowPlayingRequestId === request.id) {
+      event.nowPlayingRequestId = null;
+      nowPlayingChanged = true;
+    }
+    if (nowPlayingChanged) storage.update('events', event);
+  });
+
+  changed.forEach(emitRequestUpdate);
+  if (nowPlayingChanged) {
+    io.to(eventRoom(request.eventId)).emit('now_playing',
+      status === 'now_playing' ? requestViews.publicRequest(request) : null);
+  }
+  if (spotifySync.shouldSyncRequest(request)) {
+    syncToSpotify(request);
   }
+  return request;
+}
+
+// Pedido aceito ou tocando vai para a playlist ou fila do Spotify do DJ dono do evento
+function syncToSpotify(request) {
+  const event = storage.get('events', request.eventId);
+  if (!event) return Promise.resolve(request);
+  return spotifyAccounts.syncRequest(request, event, event.ownerId).catch(error => {
+    console.error('Spotify sync error:', error);
+    return request;
+  });
 }
 
-function saveData() {
+app.post('/api/auth/register', validate({
+  body: {
+    username: { type: 'string', required: true, minLength: 3, maxLength: 40, pattern: /^[\w.@-]+$/ },
+    password: { type: 'string', required: true, minLength: 6, maxLength: 200 },
+    name: { type: 'string', maxLength: 60 },
+    registrationKey: { type: 'string' }
+  }
+}), (req, res) => {
+  const { username, password, name, registrationKey } = req.body;
+
+  const requiredKey = process.env.DJ_REGISTRATION_KEY;
+  if (requiredKey && registrationKey !== requiredKey) {
+    return sendError(res, 403, req.t('auth.invalidRegistrationKey'));
+  }
+
+  const normalizedUsername = username.trim().toLowerCase();
+  if (storage.findOne('users', { username: normalizedUsername })) {
+    return sendError(res, 409, req.t('auth.userExists'));
+  }
+
+  const user = {
+    id: uuidv4(),
+    username: normalizedUsername,
+    name: name || normalizedUsername,
+    passwordHash: auth.hashPassword(password),
+    createdAt: Date.now()
+  };
+
+  storage.insert('users', user);
+  const token = createSession(user);
+
+  sendResponse(res, true, req.t('auth.registered'), { token, user: auth.publicUser(user) });
+});
+
+app.post('/api/auth/login', validate({
+  body: {
+    username: { type: 'string', required: true, maxLength: 40 },
+    password: { type: 'string', required: true, maxLength: 200 }
+  }
+}), (req, res) => {
+  const { username, password } = req.body;
+  const normalizedUsername = username.trim().toLowerCase();
+  const user = storage.findOne('users', { username: normalizedUsername });
+
+  if (!user || !auth.verifyPassword(password, user.passwordHash)) {
+    return sendError(res, 401, req.t('auth.invalidCredentials'));
+  }
+
+  const token = createSession(user);
+  sendResponse(res, true, req.t('auth.loggedIn'), { token, user: auth.publicUser(user) });
+});
+
+app.post('/api/auth/logout', requireAuth, (req, res) => {
+  storage.remove('sessions', auth.hashToken(auth.getBearerToken(req)));
+  sendResponse(res, true, req.t('auth.loggedOut'));
+});
+
+app.get('/api/auth/me', requireAuth, (req, res) => {
+  sendResponse(res, true, req.t('auth.me'), auth.publicUser(req.user));
+});
+
+// Conexão do DJ com o Spotify (authorization code). O app abre a url devolvida por
+// /connect no navegador; o Spotify volta para /callback com o code.
+app.get('/api/spotify/connect', requireAuth, (req, res) => {
+  if (!search.hasSpotifyCredentials()) {
+    return sendError(res, 503, req.t('spotify.notConfigured'));
+  }
+  const redirectUri = process.env.SPOTIFY_REDIRECT_URI || `${req.protocol}://${req.get('host')}/api/spotify/callback`;
+  sendResponse(res, true, req.t('spotify.openUrl'), {
+    url: spotifyAccounts.getAuthorizeUrl(req.user.id, redirectUri)
+  });
+});
+
+function spotifyCallbackPage(req, title, message) {
+  return `<!DOCTYPE html><html lang="${i18n.requestLocale(req)}"><head><meta charset="UTF-8"><title>MusicAsk</title></head>
+<body style="font-family: sans-serif; text-align: center; padding: 40px;"><h1>${title}</h1><p>${message}</p></body></html>`;
+}
+
+app.get('/api/spotify/callback', async (req, res) => {
+  const { code, state, error } = req.query;
+  if (error || typeof code !== 'string' || typeof state !== 'string') {
+    return res.status(400).send(spotifyCallbackPage(req, req.t('spotify.notConnectedTitle'), req.t('spotify.cancelled')));
+  }
+
+  try {
+    const account = await spotifyAccounts.connect(code, state);
+    io.to(userRoom(account.userId)).emit('spotify_account_updated', spotifySync.publicAccount(account));
+    res.send(spotifyCallbackPage(req, req.t('spotify.connectedTitle'), req.t('spotify.connectedMessage')));
+  } catch (err) {
+    console.error('Spotify connect error:', err.message);
+    const failure = spotifySync.syncFailure(err);
+    res.status(400).send(spotifyCallbackPage(req, req.t('spotify.notConnectedTitle'), req.t(failure.key, failure.params)));
+  }
+});
+
+app.get('/api/spotify/account', requireAuth, (req, res) => {
+  sendResponse(res, true, req.t('spotify.account'), spotifySync.publicAccount(spotifyAccounts.getAccount(req.user.id)));
+});
+
+app.delete('/api/spotify/account', requireAuth, (req, res) => {
+  spotifyAccounts.disconnect(req.user.id);
+  io.to(userRoom(req.user.id)).emit('spotify_account_updated', spotifySync.publicAccount(null));
+  sendResponse(res, true, req.t('spotify.disconnected'), spotifySync.publicAccount(null));
+});
+
+app.get('/api/spotify/playlists', requireAuth, async (req, res) => {
+  if (!spotifyAccounts.getAccount(req.user.id)) {
+    return sendError(res, 409, req.t('spotify.connectFirst'));
+  }
   try {
-    fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
+    sendResponse(res, true, req.t('spotify.playlistsLoaded'), await spotifyAccounts.listPlaylists(req.user.id));
   } catch (error) {
-    console.error('Error saving data:', error);
+    console.error('Spotify playlists error:', error.message);
+    const failure = spotifySync.syncFailure(error);
+    sendError(res, 502, req.t(failure.key, failure.params));
   }
+});
+
+// Eventos agendados seguram o código até abrir, para o scheduler não esbarrar em outro evento
+function isCodeInUse(code, exceptEventId = null) {
+  return storage.find('events', { code })
+    .some(e => e.id !== exceptEventId && (e.active || eventSchedule.isUpcoming(e)));
 }
 
-loadData();
+// Códigos são guardados em maiúsculas (os antigos são convertidos na importação e na
+// migração do SQLite), então basta normalizar o que o convidado digitou
+function findActiveEventByCode(input) {
+  return storage.findOne('events', { code: eventCodes.normalizeCode(input), active: true });
+}
 
-function sendResponse(res, success, message, responseData = null) {
-  res.json({ success, message, data: responseData });
+function findUpcomingEventByCode(input) {
+  return storage.find('events', { code: eventCodes.normalizeCode(input) }).find(eventSchedule.isUpcoming) || null;
 }
 
-app.post('/api/events', (req, res) => {
-  const { name, code } = req.body;
+function formatEventTime(req, event, timestamp) {
+  return eventSchedule.formatEventTime(timestamp, event, i18n.requestLocale(req));
+}
+
+function generateEventCode() {
+  return eventCodes.generateEventCode(EVENT_CODE_FORMAT, code => isCodeInUse(code));
+}
 
-  const existingActive = data.events.find(e => e.active);
-  if (existingActive) {
-    return sendResponse(res, false, 'Já existe um evento ativo');
+const eventPasswordField = { type: 'string', minLength: 4, maxLength: 100 };
+
+// startsAt/endsAt em ISO 8601; sem fuso no texto vale o horário local do timeZone do evento
+const scheduleFields = {
+  startsAt: { type: 'string', nullable: true, maxLength: 40 },
+  endsAt: { type: 'string', nullable: true, maxLength: 40 },
+  timeZone: { type: 'string', maxLength: 64 },
+  requestWindow: { type: 'object', nullable: true }
+};
+
+function withRequestCount(event) {
+  return {
+    ...event,
+    totalRequests: storage.count('requests', { eventId: event.id })
+  };
+}
+
+app.post('/api/events', requireAuth, validate({
+  body: {
+    name: { type: 'string', maxLength: 100 },
+    code: { type: 'string', pattern: /^\s*[0-9A-Za-z]{3,12}\s*$/ },
+    password: eventPasswordField,
+    ...scheduleFields
+  }
+}), (req, res) => {
+  const { name, password } = req.body;
+  const code = req.body.code ? eventCodes.normalizeCode(req.body.code) : generateEventCode();
+
+  if (isCodeInUse(code)) {
+    return sendError(res, 409, req.t('event.codeInUse'));
+  }
+  const now = Date.now();
+  const parsed = eventSchedule.parseSchedule(req.body, {}, now);
+  if (parsed.error) {
+    return sendError(res, 400, req.t(parsed.error, parsed.params));
   }
+  // Com início no futuro o evento nasce fechado e o scheduler abre na hora
+  const startsLater = Boolean(parsed.schedule.startsAt && parsed.schedule.startsAt > now);
 
   const event = {
     id: uuidv4(),
-    name: name || `Evento ${code}`,
-    code: code || String(Math.floor(1000 + Math.random() * 9000)),
-    active: true,
-    createdAt: Date.now(),
+    ownerId: req.user.id,
+    name: name || req.t('event.defaultName', { code }),
+    code,
+    active: !startsLater,
+    createdAt: now,
+    startedAt: startsLater ? null : now,
     endedAt: null,
+    ...parsed.schedule,
     acceptedStyles: [],
+    styleFilterMode: 'flag',
+    searchProvider: null,
+    requestLimits: { ...requestLimits.DEFAULT_REQUEST_LIMITS },
+    moderation: { ...moderation.DEFAULT_MODERATION },
+    spotifySync: { ...spotifySync.DEFAULT_SPOTIFY_SYNC },
+    locale: null,
+    passwordHash: password ? auth.hashPassword(password) : null,
     totalRequests: 0
   };
 
-  data.events.push(event);
-  saveData();
+  storage.insert('events', event);
 
-  io.emit('event_created', event);
-  sendResponse(res, true, 'Evento criado com sucesso', event);
+  io.to(userRoom(req.user.id)).emit('event_created', eventViews.ownerEvent(event));
+  sendResponse(res, true, req.t('event.created'), eventViews.ownerEvent(event));
 });
 
-app.get('/api/events/active', (req, res) => {
-  const activeEvent = data.events.find(e => e.active);
-  if (activeEvent) {
-    activeEvent.totalRequests = data.requests.filter(r => r.eventId === activeEvent.id).length;
-    sendResponse(res, true, 'Evento ativo encontrado', activeEvent);
-  } else {
-    sendResponse(res, false, 'Nenhum evento ativo');
-  }
+app.get('/api/events/mine', requireAuth, validate({
+  query: { active: { type: 'string', enum: ['true', 'false'] } }
+}), (req, res) => {
+  const { active } = req.query;
+  const where = { ownerId: req.user.id };
+  if (active !== undefined) where.active = active === 'true';
+
+  const eventsWithCounts = storage.find('events', where)
+    .map(withRequestCount)
+    .map(eventViews.ownerEvent)
+    .sort((a, b) => b.createdAt - a.createdAt);
+  sendResponse(res, true, req.t('event.listLoaded'), eventsWithCounts);
 });
 
+// Rotas públicas de evento: quem não é o DJ dono vê o evento sem o código
+function eventViewFor(req) {
+  const user = findSessionUser(auth.getBearerToken(req));
+  return event => (user && canManageEvent(user, event) ? eventViews.ownerEvent(event) : eventViews.publicEvent(event));
+}
+
 app.get('/api/events', (req, res) => {
-  const eventsWithCounts = data.events.map(event => ({
-    ...event,
-    totalRequests: data.requests.filter(r => r.eventId === event.id).length
-  })).sort((a, b) => b.createdAt - a.createdAt);
+  const eventsWithCounts = storage.find('events')
+    .map(withRequestCount)
+    .map(eventViewFor(req))
+    .sort((a, b) => b.createdAt - a.createdAt);
 
-  sendResponse(res, true, 'Eventos carregados', eventsWithCounts);
+  sendResponse(res, true, req.t('event.listLoaded'), eventsWithCounts);
+});
+
+// Formato dos códigos gerados, para a página do convidado ajustar o campo (teclado numérico etc.)
+app.get('/api/events/code-format', (req, res) => {
+  sendResponse(res, true, req.t('event.codeFormatLoaded'), EVENT_CODE_FORMAT);
 });
 
 app.get('/api/events/:eventId', (req, res) => {
-  const event = data.events.find(e => e.id === req.params.eventId);
+  const event = storage.get('events', req.params.eventId);
+  req.event = event;
   if (event) {
-    event.totalRequests = data.requests.filter(r => r.eventId === event.id).length;
-    sendResponse(res, true, 'Evento encontrado', event);
+    sendResponse(res, true, req.t('event.found'), eventViewFor(req)(withRequestCount(event)));
   } else {
-    sendResponse(res, false, 'Evento não encontrado');
+    sendError(res, 404, req.t('event.notFound'));
   }
 });
 
-app.patch('/api/events/:eventId', (req, res) => {
-  const event = data.events.find(e => e.id === req.params.eventId);
-  if (!event) {
-    return sendResponse(res, false, 'Evento não encontrado');
+app.patch('/api/events/:eventId', requireAuth, requireEventOwner, validate({
+  body: {
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    acceptedStyles: { type: 'array', maxItems: 50, items: { type: 'string', minLength: 1, maxLength: 50 } },
+    styleFilterMode: { type: 'string', enum: styles.STYLE_FILTER_MODES },
+    searchProvider: { type: 'string', nullable: true, enum: search.PROVIDER_NAMES },
+    catalogOnly: { type: 'boolean' },
+    requestLimits: { type: 'object' },
+    moderation: { type: 'object' },
+    spotifySync: { type: 'object' },
+    locale: { type: 'string', nullable: true, enum: i18n.LOCALES },
+    // null tira a senha
+    password: { ...eventPasswordField, nullable: true },
+    ...scheduleFields,
+    active: { type: 'boolean' }
+  }
+}), (req, res) => {
+  const event = req.event;
+  const {
+    name, acceptedStyles, styleFilterMode, searchProvider, catalogOnly, requestLimits: limitsInput,
+    moderation: moderationInput, spotifySync: syncInput, locale, password, active
+  } = req.body;
+  const now = Date.now();
+
+  const parsedSchedule = eventSchedule.parseSchedule(req.body, event, now);
+  if (parsedSchedule.error) {
+    return sendError(res, 400, req.t(parsedSchedule.error, parsedSchedule.params));
+  }
+  const { schedule } = parsedSchedule;
+  // Abrir na mão antes da hora, ou trazer o início para agora, adianta o evento agendado
+  const startsNow = eventSchedule.isUpcoming(event) && active !== false &&
+    (!schedule.startsAt || schedule.startsAt <= now);
+  const activating = (active === true || startsNow) && !event.active;
+
+  let limits;
+  if (limitsInput !== undefined) {
+    const parsed = requestLimits.parseRequestLimits(limitsInput, event.requestLimits);
+    if (parsed.error) {
+      return sendError(res, 400, req.t(parsed.error, parsed.params));
+    }
+    limits = parsed.limits;
+  }
+  let moderationSettings;
+  if (moderationInput !== undefined) {
+    const parsed = moderation.parseModeration(moderationInput, event.moderation);
+    if (parsed.error) {
+      return sendError(res, 400, req.t(parsed.error, parsed.params));
+    }
+    moderationSettings = parsed.moderation;
+  }
+  let syncSettings;
+  if (syncInput !== undefined) {
+    const parsed = spotifySync.parseSpotifySync(syncInput, event.spotifySync);
+    if (parsed.error) {
+      return sendError(res, 400, req.t(parsed.error, parsed.params));
+    }
+    if (parsed.settings.mode !== 'off' && !spotifyAccounts.getAccount(event.ownerId)) {
+      return sendError(res, 409, req.t('spotify.connectBeforeSync'));
+    }
+    syncSettings = parsed.settings;
+  }
+  if (activating && isCodeInUse(event.code, event.id)) {
+    return sendError(res, 409, req.t('event.codeInUse'));
+  }
+  // Reabrir depois do fim agendado faria o scheduler encerrar de novo no próximo tick
+  if (activating && schedule.endsAt && schedule.endsAt <= now) {
+    return sendError(res, 409, req.t('schedule.endInPast'));
   }
 
-  const { name, acceptedStyles, active } = req.body;
   if (name !== undefined) event.name = name;
   if (acceptedStyles !== undefined) event.acceptedStyles = acceptedStyles;
+  if (styleFilterMode !== undefined) event.styleFilterMode = styleFilterMode;
+  if (searchProvider !== undefined) event.searchProvider = searchProvider;
+  if (catalogOnly !== undefined) event.catalogOnly = catalogOnly;
+  if (limits !== undefined) event.requestLimits = limits;
+  if (moderationSettings !== undefined) event.moderation = moderationSettings;
+  if (syncSettings !== undefined) event.spotifySync = syncSettings;
+  if (locale !== undefined) event.locale = locale;
+  if (password !== undefined) event.passwordHash = password ? auth.hashPassword(password) : null;
+  Object.assign(event, schedule);
   if (active !== undefined) event.active = active;
+  if (activating) {
+    event.active = true;
+    if (!event.startedAt) event.startedAt = now;
+  }
 
-  saveData();
-  io.emit('event_updated', event);
-  sendResponse(res, true, 'Evento atualizado', event);
+  storage.update('events', event);
+  emitEventUpdate(event);
+  sendResponse(res, true, req.t('event.updated'), eventViews.ownerEvent(event));
 });
 
-app.post('/api/events/:eventId/end', (req, res) => {
-  const event = data.events.find(e => e.id === req.params.eventId);
-  if (!event) {
-    return sendResponse(res, false, 'Evento não encontrado');
+function clearCatalog(eventId) {
+  storage.find('catalogTracks', { eventId }).forEach(track => storage.remove('catalogTracks', track.id));
+}
+
+app.get('/api/events/:eventId/catalog', requireAuth, requireEventOwner, validate({
+  query: { q: { type: 'string', maxLength: 200 } }
+}), (req, res) => {
+  const tracks = storage.find('catalogTracks', { eventId: req.event.id });
+  const matches = req.query.q ? catalog.searchCatalog(tracks, req.query.q, 50) : tracks.slice(0, 50);
+
+  sendResponse(res, true, req.t('catalog.loaded'), {
+    total: tracks.length,
+    importedAt: req.event.catalogImportedAt || null,
+    tracks: matches
+  });
+});
+
+// Acervos exportados do Rekordbox/Serato passam fácil dos 100kb padrão
+app.post('/api/events/:eventId/catalog', requireAuth, requireEventOwner, express.json({ limit: '20mb' }), validate({
+  body: {
+    content: { type: 'string', required: true, maxLength: 20 * 1024 * 1024 },
+    format: { type: 'string', enum: catalog.CATALOG_FORMATS },
+    replace: { type: 'boolean' }
+  }
+}), (req, res) => {
+  const event = req.event;
+  const { content, format, replace = true } = req.body;
+
+  let parsed;
+  try {
+    parsed = catalog.parseCatalog(content, format);
+  } catch (error) {
+    return sendError(res, 400, req.t('catalog.unreadable', { detail: error.message }));
+  }
+  if (parsed.entries.length === 0) {
+    return sendError(res, 400, req.t('catalog.empty'));
   }
 
+  storage.transaction(() => {
+    if (replace) clearCatalog(event.id);
+    parsed.entries.forEach(entry => {
+      storage.insert('catalogTracks', { id: uuidv4(), eventId: event.id, ...entry });
+    });
+    event.catalogSize = storage.count('catalogTracks', { eventId: event.id });
+    event.catalogImportedAt = Date.now();
+    storage.update('events', event);
+  });
+
+  emitEventUpdate(event);
+  sendResponse(res, true, req.t('catalog.imported'), {
+    format: parsed.format,
+    imported: parsed.entries.length,
+    skipped: parsed.skipped,
+    total: event.catalogSize
+  });
+});
+
+app.delete('/api/events/:eventId/catalog', requireAuth, requireEventOwner, (req, res) => {
+  const event = req.event;
+  storage.transaction(() => {
+    clearCatalog(event.id);
+    event.catalogSize = 0;
+    event.catalogImportedAt = Date.now();
+    storage.update('events', event);
+  });
+
+  emitEventUpdate(event);
+  sendResponse(res, true, req.t('catalog.removed'), eventViews.ownerEvent(event));
+});
+
+app.post('/api/events/:eventId/end', requireAuth, requireEventOwner, (req, res) => {
+  const event = req.event;
   event.active = false;
   event.endedAt = Date.now();
-  saveData();
+  storage.update('events', event);
 
-  io.emit('event_ended', event);
-  sendResponse(res, true, 'Evento encerrado', event);
+  emitEventUpdate(event, 'event_ended');
+  sendResponse(res, true, req.t('event.ended'), eventViews.ownerEvent(event));
 });
 
-app.get('/api/events/:eventId/requests', (req, res) => {
+// Assume um evento sem dono. Vale uma vez só e pede a DJ_REGISTRATION_KEY, a mesma do cadastro;
+// sem ela configurada os eventos antigos continuam só leitura
+app.post('/api/events/:eventId/claim', requireAuth, validate({
+  body: { registrationKey: { type: 'string', required: true, maxLength: 200 } }
+}), (req, res) => {
+  const event = storage.get('events', req.params.eventId);
+  if (!event) {
+    return sendError(res, 404, req.t('event.notFound'));
+  }
+  if (event.ownerId) {
+    return sendError(res, 409, req.t('event.alreadyOwned'));
+  }
+  const requiredKey = process.env.DJ_REGISTRATION_KEY;
+  if (!requiredKey) {
+    return sendError(res, 403, req.t('event.claimDisabled'));
+  }
+  if (req.body.registrationKey !== requiredKey) {
+    return sendError(res, 403, req.t('auth.invalidRegistrationKey'));
+  }
+
+  event.ownerId = req.user.id;
+  event.claimedAt = Date.now();
+  storage.update('events', event);
+  console.log(`Event ${event.id} claimed by user ${req.user.id}`);
+
+  io.to(userRoom(req.user.id)).emit('event_created', eventViews.ownerEvent(event));
+  sendResponse(res, true, req.t('event.claimed'), eventViews.ownerEvent(event));
+});
+
+app.get('/api/events/:eventId/requests', validate({
+  query: { status: { type: 'string', enum: [...REQUEST_STATUSES, 'later'] } }
+}), (req, res) => {
+  // Nomes e recados ainda sem moderação só vão para o DJ dono
+  const user = findSessionUser(auth.getBearerToken(req));
+  const event = storage.get('events', req.params.eventId);
+  req.event = event;
+  if (!event) {
+    return sendError(res, 404, req.t('event.notFound'));
+  }
+  const isOwner = Boolean(user && canManageEvent(user, event));
+  if (!isOwner && !guestCanAccess(req, event)) {
+    return sendError(res, 401, req.t('event.passwordRequired'), { passwordRequired: true });
+  }
+
   const { status } = req.query;
-  let eventRequests = data.requests.filter(r => r.eventId === req.params.eventId);
+  const where = { eventId: req.params.eventId };
 
   if (status) {
-    if (status === 'later') {
-      eventRequests = eventRequests.filter(r =>
-        r.status === 'later_5_15' || r.status === 'later_15_30' || r.status === 'later_30_plus'
-      );
-    } else {
-      eventRequests = eventRequests.filter(r => r.status === status);
-    }
+    where.status = status === 'later' ? LATER_STATUSES : status;
+  }
+
+  const now = Date.now();
+  const eventRequests = storage.find('requests', where).map(r => {
+    if (!LATER_STATUSES.includes(r.status)) return r;
+    const laterDueAt = requestStatus.getLaterDueAt(r);
+    return { ...r, laterDueAt, laterDue: laterDueAt <= now };
+  });
+
+  if (status === 'later') {
+    eventRequests.sort((a, b) => a.laterDueAt - b.laterDueAt);
+  } else {
+    eventRequests.sort((a, b) => b.requestedAt - a.requestedAt);
+  }
+  sendResponse(res, true, req.t('request.listLoaded'),
+    eventRequests.map(isOwner ? requestViews.djRequest : requestViews.guestRequest));
+});
+
+// Fila de moderação: nomes e recados de quem pediu, com o índice usado no PATCH de cada um
+app.get('/api/events/:eventId/messages', requireAuth, requireEventOwner, validate({
+  query: { status: { type: 'string', enum: moderation.MESSAGE_STATUSES } }
+}), (req, res) => {
+  const { status } = req.query;
+  const messages = [];
+  storage.find('requests', { eventId: req.event.id }).forEach(request => {
+    (request.requesters || []).forEach((requester, index) => {
+      if (!requester.message && !requester.flagged) return;
+      const messageStatus = requester.messageStatus || 'approved';
+      if (status && messageStatus !== status) return;
+      messages.push({
+        requestId: request.id,
+        index,
+        trackName: request.trackName,
+        artistName: request.artistName,
+        name: requester.name,
+        message: requester.message || null,
+        status: messageStatus,
+        flagged: Boolean(requester.flagged),
+        requestedAt: requester.requestedAt
+      });
+    });
+  });
+
+  messages.sort((a, b) => b.requestedAt - a.requestedAt);
+  sendResponse(res, true, req.t('moderation.listLoaded'), messages);
+});
+
+app.get('/api/events/:eventId/queue', (req, res) => {
+  const event = storage.get('events', req.params.eventId);
+  if (!event) {
+    return sendError(res, 404, req.t('event.notFound'));
+  }
+  req.event = event;
+  if (!guestCanAccess(req, event)) {
+    return sendError(res, 401, req.t('event.passwordRequired'), { passwordRequired: true });
+  }
+
+  const guestId = getGuestId(req);
+  const queue = storage.find('requests', { eventId: event.id, status: 'pending' })
+    .sort((a, b) => requestViews.getVotes(b) - requestViews.getVotes(a) || a.requestedAt - b.requestedAt)
+    .map(r => requestViews.publicRequest(r, guestId));
+
+  sendResponse(res, true, req.t('request.queueLoaded'), queue);
+});
+
+function findGuestRequests(eventId, guestId) {
+  return storage.find('requests', { eventId })
+    .filter(r => (r.requesters || []).some(requester => requester.guestId === guestId))
+    .sort((a, b) => a.requestedAt - b.requestedAt);
+}
+
+// Pedidos do próprio convidado, para refazer a lista depois de recarregar ou trocar de aparelho
+app.get('/api/events/:eventId/my-requests', requireGuestSession, (req, res) => {
+  const event = storage.get('events', req.params.eventId);
+  req.event = event;
+  if (!event) {
+    return sendError(res, 404, req.t('event.notFound'));
+  }
+
+  const mine = findGuestRequests(event.id, req.guestSession.guestId).map(requestViews.guestRequest);
+  sendResponse(res, true, req.t('request.mineLoaded'), mine);
+});
+
+app.get('/api/events/:eventId/now-playing', (req, res) => {
+  const event = storage.get('events', req.params.eventId);
+  req.event = event;
+  if (!event) {
+    return sendError(res, 404, req.t('event.notFound'));
+  }
+  if (!canReadEvent(req, event)) {
+    return sendError(res, 401, req.t('event.passwordRequired'), { passwordRequired: true });
   }
 
-  eventRequests.sort((a, b) => b.requestedAt - a.requestedAt);
-  sendResponse(res, true, 'Pedidos carregados', eventRequests);
+  const request = event.nowPlayingRequestId && storage.get('requests', event.nowPlayingRequestId);
+  sendResponse(res, true, req.t('request.nowPlaying'), request ? requestViews.publicRequest(request) : null);
 });
 
 app.get('/api/events/:eventId/stats', (req, res) => {
-  const eventRequests = data.requests.filter(r => r.eventId === req.params.eventId);
-
-  const stats = {
-    totalRequests: eventRequests.length,
-    acceptedRequests: eventRequests.filter(r => r.status === 'accepted').length,
-    rejectedRequests: eventRequests.filter(r => r.status === 'rejected').length,
-    laterRequests: eventRequests.filter(r =>
-      r.status === 'later_5_15' || r.status === 'later_15_30' || r.status === 'later_30_plus'
-    ).length,
-    topTracks: []
-  };
+  const event = storage.get('events', req.params.eventId);
+  req.event = event;
+  if (!event) {
+    return sendError(res, 404, req.t('event.notFound'));
+  }
+  if (!canReadEvent(req, event)) {
+    return sendError(res, 401, req.t('event.passwordRequired'), { passwordRequired: true });
+  }
+  const eventRequests = storage.find('requests', { eventId: req.params.eventId });
+  sendResponse(res, true, req.t('stats.loaded'), eventStats.getEventStats(eventRequests));
+});
 
-  const trackCounts = {};
-  eventRequests.forEach(r => {
-    const key = `${r.trackName}|||${r.artistName}`;
-    if (!trackCounts[key]) {
-      trackCounts[key] = { trackName: r.trackName, artistName: r.artistName, count: 0 };
-    }
-    trackCounts[key].count++;
+app.get('/api/events/:eventId/analytics', requireAuth, requireEventOwner, validate({
+  query: { bucketMinutes: { type: 'string', enum: analytics.BUCKET_MINUTES.map(String) } }
+}), (req, res) => {
+  const bucketMinutes = Number(req.query.bucketMinutes) || analytics.DEFAULT_BUCKET_MINUTES;
+  const eventRequests = storage.find('requests', { eventId: req.event.id });
+  sendResponse(res, true, req.t('analytics.loaded'), analytics.getEventAnalytics(eventRequests, { bucketMinutes }));
+});
+
+function exportFileName(event, suffix) {
+  const slug = normalizeText(event.name).replace(/ /g, '-');
+  return `musicask-${slug || event.code}-${suffix}`;
+}
+
+app.get('/api/events/:eventId/export/requests', requireAuth, requireEventOwner, validate({
+  query: { format: { type: 'string', enum: eventExport.REQUEST_EXPORT_FORMATS } }
+}), (req, res) => {
+  const eventRequests = storage.find('requests', { eventId: req.event.id })
+    .sort((a, b) => a.requestedAt - b.requestedAt);
+
+  if (req.query.format === 'csv') {
+    res.attachment(exportFileName(req.event, 'pedidos.csv'));
+    return res.type('text/csv; charset=utf-8').send(eventExport.requestsToCsv(eventRequests));
+  }
+  res.attachment(exportFileName(req.event, 'pedidos.json'));
+  res.json({ event: eventViews.ownerEvent(req.event), requests: eventRequests.map(eventExport.exportRequest) });
+});
+
+app.get('/api/events/:eventId/export/playlist', requireAuth, requireEventOwner, validate({
+  query: { format: { type: 'string', enum: eventExport.PLAYLIST_EXPORT_FORMATS } }
+}), (req, res) => {
+  const setlist = eventExport.getSetlist(storage.find('requests', { eventId: req.event.id }));
+
+  if (req.query.format === 'spotify') {
+    res.attachment(exportFileName(req.event, 'spotify.txt'));
+    return res.type('text/plain; charset=utf-8').send(eventExport.setlistToSpotifyUris(setlist));
+  }
+  res.attachment(exportFileName(req.event, 'setlist.m3u'));
+  res.type('audio/x-mpegurl; charset=utf-8').send(eventExport.setlistToM3u(setlist));
+});
+
+app.get('/api/events/:eventId/export/setlist', requireAuth, requireEventOwner, (req, res) => {
+  const eventRequests = storage.find('requests', { eventId: req.event.id });
+  const stats = eventStats.getEventStats(eventRequests);
+  res.type('html').send(eventExport.renderSetlistReport(req.event, stats, eventExport.getSetlist(eventRequests), i18n.requestLocale(req)));
+});
+
+// O QR code e o cartaz levam o código do evento, então só abrem com a chave que o DJ dono
+// recebe em /share (as URLs já vêm com ela, prontas para <img> e para abrir no navegador)
+function findShareableEvent(req, res) {
+  const event = storage.get('events', req.params.eventId);
+  req.event = event;
+  if (!event || !event.shareKey || req.query.key !== event.shareKey) {
+    sendError(res, 404, req.t('event.notFound'));
+    return null;
+  }
+  if (!event.active && !eventSchedule.isUpcoming(event)) {
+    sendError(res, 409, req.t('event.ended'));
+    return null;
+  }
+  return event;
+}
+
+const shareKeyField = { type: 'string', maxLength: 128 };
+
+app.get('/api/events/:eventId/share', requireAuth, requireEventOwner, (req, res) => {
+  const event = req.event;
+  // Eventos agendados já podem ser divulgados antes de abrir
+  if (!event.active && !eventSchedule.isUpcoming(event)) {
+    return sendError(res, 409, req.t('event.ended'));
+  }
+  if (!event.shareKey) {
+    event.shareKey = auth.generateToken();
+    storage.update('events', event);
+  }
+
+  const baseUrl = eventShare.publicBaseUrl(req);
+  const apiPath = `${baseUrl}/api/events/${encodeURIComponent(event.id)}`;
+  const key = encodeURIComponent(event.shareKey);
+  sendResponse(res, true, req.t('event.shareLoaded'), {
+    code: event.code,
+    joinUrl: eventShare.joinUrl(baseUrl, event),
+    qrCode: {
+      png: `${apiPath}/qr?format=png&key=${key}`,
+      svg: `${apiPath}/qr?format=svg&key=${key}`
+    },
+    posterUrl: `${apiPath}/poster?key=${key}`
   });
+});
 
-  stats.topTracks = Object.values(trackCounts)
-    .sort((a, b) => b.count - a.count)
-    .slice(0, 10);
+app.get('/api/events/:eventId/qr', validate({
+  query: {
+    format: { type: 'string', enum: eventShare.QR_FORMATS },
+    size: { type: 'string', pattern: /^\d{1,4}$/ },
+    key: shareKeyField
+  }
+}), async (req, res, next) => {
+  const event = findShareableEvent(req, res);
+  if (!event) return;
 
-  sendResponse(res, true, 'Estatísticas carregadas', stats);
+  const format = req.query.format || 'png';
+  try {
+    const image = await eventShare.renderQrCode(eventShare.joinUrl(eventShare.publicBaseUrl(req), event), format, req.query.size);
+    res.type(format === 'svg' ? 'image/svg+xml' : 'image/png').send(image);
+  } catch (error) {
+    next(error);
+  }
 });
 
-app.post('/api/events/validate', (req, res) => {
-  const { code } = req.body;
-  const event = data.events.find(e => e.code === code && e.active);
+app.get('/api/events/:eventId/poster', validate({
+  query: { key: shareKeyField }
+}), async (req, res, next) => {
+  const event = findShareableEvent(req, res);
+  if (!event) return;
 
-  if (event) {
-    sendResponse(res, true, 'Código válido', { eventId: event.id, eventName: event.name });
-  } else {
-    sendResponse(res, false, 'Código inválido ou evento encerrado');
+  const url = eventShare.joinUrl(eventShare.publicBaseUrl(req), event);
+  try {
+    const qrSvg = await eventShare.renderQrCode(url, 'svg');
+    res.type('html').send(eventShare.renderPoster(event, url, qrSvg, i18n.requestLocale(req)));
+  } catch (error) {
+    next(error);
   }
 });
 
-app.post('/api/requests', (req, res) => {
-  const { eventId, trackName, artistName, albumImage, spotifyUri, requesterName } = req.body;
+// Chave do limite menor do validate. Códigos errados (scope 'code') contam por sessão do
+// convidado junto com o IP, e sem sessão só vale o limite por IP. Senha errada (scope é o
+// id do evento) conta por evento e IP, já que a sessão só é criada depois da senha certa.
+function validateKey(req, session, scope) {
+  if (scope !== 'code') return `${scope}:${req.ip}`;
+  return session ? `code:${session.id}:${req.ip}` : null;
+}
+
+// Milissegundos até liberar, o maior entre o limite do convidado e o do IP
+function checkValidateThrottle(req, session, scope) {
+  const key = validateKey(req, session, scope);
+  return Math.max(ipValidateThrottle.check(req.ip), key ? guestValidateThrottle.check(key) : 0);
+}
+
+function sendValidateLocked(req, res, retryAfterMs) {
+  const seconds = Math.ceil(retryAfterMs / 1000);
+  res.set('Retry-After', String(seconds));
+  return sendError(res, 429, req.t('event.tooManyAttempts', { seconds }));
+}
+
+// Código ou senha errada conta para o bloqueio do IP e fica no log
+function recordValidateFailure(req, session, scope, reason) {
+  const key = validateKey(req, session, scope);
+  const locks = [ipValidateThrottle.recordFailure(req.ip).retryAfterMs ? `IP ${req.ip}` : null];
+  const keyLabel = scope === 'code' ? `guest at ${req.ip}` : `event ${scope} at ${req.ip}`;
+  if (key) locks.push(guestValidateThrottle.recordFailure(key).retryAfterMs ? keyLabel : null);
+  console.warn(`Failed event validate from ${req.ip}: ${reason} (code ${JSON.stringify(req.body.code)})`);
+  locks.filter(Boolean).forEach(lock => {
+    console.warn(`Event validate locked for ${lock} during ${Math.ceil(VALIDATE_LOCKOUT_MS / 1000)}s`);
+  });
+}
+
+app.post('/api/events/validate', validate({
+  body: {
+    code: { type: 'string', required: true, maxLength: 20 },
+    password: { type: 'string', maxLength: 100 },
+    // guestId das versões antigas do app: vira o id da nova sessão para não perder os pedidos
+    guestId: { type: 'string', maxLength: 64 }
+  }
+}), (req, res) => {
+  let guestToken = req.get('X-Guest-Token');
+  let session = findGuestSession(guestToken);
+  const retryAfterMs = checkValidateThrottle(req, session, 'code');
+  if (retryAfterMs) {
+    return sendValidateLocked(req, res, retryAfterMs);
+  }
+
+  const event = findActiveEventByCode(req.body.code);
+  req.event = event;
 
-  const event = data.events.find(e => e.id === eventId && e.active);
   if (!event) {
-    return sendResponse(res, false, 'Evento não encontrado ou encerrado');
+    const upcoming = findUpcomingEventByCode(req.body.code);
+    if (upcoming) {
+      req.event = upcoming;
+      return sendError(res, 409, req.t('event.notStarted', { time: formatEventTime(req, upcoming, upcoming.startsAt) }), {
+        at: upcoming.startsAt
+      });
+    }
+    recordValidateFailure(req, session, 'code', 'invalid code');
+    return sendError(res, 404, req.t('event.invalidCode'));
+  }
+  const windowError = eventSchedule.checkRequestWindow(event);
+  if (windowError) {
+    return sendError(res, 409, req.t(windowError.message, { time: formatEventTime(req, event, windowError.at) }), {
+      at: windowError.at
+    });
+  }
+
+  // A senha é pedida uma vez por sessão do convidado; depois o token basta
+  const unlocking = !eventViews.hasUnlocked(session, event);
+  if (unlocking) {
+    const passwordRetryMs = checkValidateThrottle(req, session, event.id);
+    if (passwordRetryMs) {
+      return sendValidateLocked(req, res, passwordRetryMs);
+    }
+    const { password } = req.body;
+    if (!password) {
+      return sendError(res, 401, req.t('event.passwordRequired'), { passwordRequired: true });
+    }
+    if (!auth.verifyPassword(password, event.passwordHash)) {
+      recordValidateFailure(req, session, event.id, 'wrong password');
+      return sendError(res, 401, req.t('event.wrongPassword'), { passwordRequired: true });
+    }
+  }
+
+  // A sessão só nasce quando o convidado entra no evento
+  if (!session) {
+    // O guestId antigo só é aproveitado se nenhuma sessão ainda o usa: depois da primeira
+    // troca ele não abre outra sessão com os pedidos e votos de alguém
+    const legacyGuestId = typeof req.body.guestId === 'string' && req.body.guestId.trim().slice(0, 64);
+    const adoptable = legacyGuestId && !storage.findOne('guestSessions', { guestId: legacyGuestId });
+    guestToken = createGuestSession(adoptable ? legacyGuestId : null);
+    session = findGuestSession(guestToken);
+  }
+  if (unlocking) {
+    session.unlockedEventIds = [...(session.unlockedEventIds || []), event.id];
   }
+  touchGuestSession(session);
+
+  sendResponse(res, true, req.t('event.validCode'), {
+    eventId: event.id,
+    eventName: event.name,
+    locale: event.locale || null,
+    acceptedStyles: event.acceptedStyles || [],
+    maxTextLength: requestLimits.getRequestLimits(event).maxTextLength,
+    maxMessageLength: requestLimits.getRequestLimits(event).maxMessageLength,
+    requestWindow: eventSchedule.getRequestWindow(event),
+    guestToken
+  });
+});
+
+// Nome e recado passam pelo filtro do evento; o que cair nele fica escondido até o DJ liberar
+function createRequester(req, event, { name, guestId, message }) {
+  const { messageStatus, flagged } = moderation.moderateRequester(event, { name, message });
+  return { name, guestId, ip: req.ip, requestedAt: Date.now(), message, messageStatus, flagged };
+}
+
+app.post('/api/requests', validate({
+  body: {
+    eventId: { type: 'string', required: true, maxLength: 64 },
+    trackName: { type: 'string', required: true, minLength: 1, maxLength: 500 },
+    artistName: { type: 'string', maxLength: 500 },
+    albumImage: { type: 'string', nullable: true, maxLength: 2000, pattern: /^https?:\/\// },
+    trackUri: { type: 'string', nullable: true, maxLength: 200 },
+    // Nome antigo do trackUri, ainda enviado por versões anteriores do app
+    spotifyUri: { type: 'string', nullable: true, maxLength: 200 },
+    requesterName: { type: 'string', maxLength: 500 },
+    // Dedicatória ou recado; o limite de verdade é o maxMessageLength do evento
+    message: { type: 'string', nullable: true, maxLength: 1000 }
+  }
+}), requireGuestSession, async (req, res) => {
+  const { eventId, albumImage, requesterName } = req.body;
+  const message = (req.body.message || '').trim() || null;
+  let { trackName } = req.body;
+  let artistName = req.body.artistName || '';
+  const trackUri = req.body.trackUri || req.body.spotifyUri || null;
+  const provider = search.getProviderForUri(trackUri);
+
+  const event = storage.get('events', eventId);
+  req.event = event;
+  if (!event) {
+    return sendError(res, 404, req.t('event.notFound'));
+  }
+  if (!event.active) {
+    return sendError(res, 409, req.t('event.ended'));
+  }
+  if (!guestCanAccess(req, event)) {
+    return sendError(res, 401, req.t('event.passwordRequired'), { passwordRequired: true });
+  }
+  const windowError = eventSchedule.checkRequestWindow(event);
+  if (windowError) {
+    return sendError(res, 409, req.t(windowError.message, { time: formatEventTime(req, event, windowError.at) }), {
+      at: windowError.at
+    });
+  }
+
+  // Com acervo, o convidado só pede o que o DJ tem; nome e artista vêm do acervo
+  if (event.catalogSize && event.catalogOnly !== false && search.getProvider(event).name === 'local') {
+    const catalogTrack = trackUri && trackUri.startsWith('local:track:') && search.findLocalTrack(trackUri, event);
+    if (!catalogTrack) {
+      return sendError(res, 409, req.t('catalog.trackNotInCatalog'));
+    }
+    trackName = catalogTrack.name;
+    artistName = catalogTrack.artist;
+  }
+
+  // A busca dos gêneros é o único await da rota: fica antes de procurar o pedido repetido,
+  // senão dois pedidos iguais ao mesmo tempo passavam os dois pela checagem e viravam dois
+  const genres = (event.acceptedStyles || []).length > 0 ? await search.getTrackGenres(trackUri, { event }) : [];
+
+  const { guestId } = req.guestSession;
+  const name = requesterName || req.t('request.anonymous');
+  const track = { trackName, artistName, trackUri };
+  const key = trackKey(track);
+  const eventRequests = storage.find('requests', { eventId });
+  const existing = eventRequests
+    .find(r => requestViews.OPEN_STATUSES.includes(r.status) && trackKey(r) === key);
+
+  if (existing && requestViews.hasVoted(existing, guestId)) {
+    return sendResponse(res, true, req.t('request.alreadyRequested'), requestViews.guestRequest(existing));
+  }
+
+  const limitError = requestLimits.checkRequestLimits({
+    event,
+    eventRequests,
+    guestId,
+    ip: req.ip,
+    track,
+    texts: [trackName, artistName, requesterName],
+    message
+  });
+  if (limitError) {
+    return sendError(res, limitError.status, req.t(limitError.message, limitError.params));
+  }
+
+  const requester = createRequester(req, event, { name, guestId, message });
+
+  if (existing) {
+    requestViews.addVote(existing, guestId);
+    existing.requesters = [...(existing.requesters || []), requester];
+    storage.update('requests', existing);
+
+    watchGuestRequest(guestId, existing);
+    emitRequestUpdate(existing);
+    return sendResponse(res, true, req.t('request.voteMerged'), requestViews.guestRequest(existing));
+  }
+
+  const styleMatch = styles.matchesAcceptedStyles(genres, event.acceptedStyles);
+  const autoRejected = styleMatch === false && event.styleFilterMode === 'reject';
 
   const request = {
     id: uuidv4(),
@@ -279,678 +1234,378 @@ app.post('/api/requests', (req, res) => {
     trackName,
     artistName,
     albumImage: albumImage || null,
-    spotifyUri: spotifyUri || null,
-    requesterName: requesterName || 'Anônimo',
+    provider: provider ? provider.name : null,
+    trackUri,
+    requesterName: name,
+    message,
+    requesters: [requester],
+    voters: [guestId],
+    votes: 1,
+    genres,
+    styleMatch,
+    autoRejected,
     status: 'pending',
+    statusHistory: [],
     requestedAt: Date.now(),
     respondedAt: null
   };
+  if (autoRejected) {
+    requestStatus.applyTransition(request, 'rejected', { by: 'auto' });
+  }
 
-  data.requests.push(request);
-  saveData();
+  storage.insert('requests', request);
 
-  io.emit('new_request', request);
-  sendResponse(res, true, 'Pedido enviado com sucesso', request);
+  watchGuestRequest(guestId, request);
+  io.to(guestRoom(guestId)).emit('request_updated', requestViews.guestRequest(request));
+  io.to(djRoom(eventId)).emit('new_request', requestViews.djRequest(request));
+  if (autoRejected) {
+    return sendResponse(res, true, req.t('request.autoRejected'), requestViews.guestRequest(request));
+  }
+  emitQueueUpdate(request);
+  const sentMessage = message && requester.messageStatus !== 'approved' ? 'moderation.awaitingApproval' : 'request.sent';
+  sendResponse(res, true, req.t(sentMessage), requestViews.guestRequest(request));
 });
 
 app.get('/api/requests/:requestId', (req, res) => {
-  const request = data.requests.find(r => r.id === req.params.requestId);
-  if (request) {
-    sendResponse(res, true, 'Pedido encontrado', request);
-  } else {
-    sendResponse(res, false, 'Pedido não encontrado');
+  const request = storage.get('requests', req.params.requestId);
+  if (!request) {
+    return sendError(res, 404, req.t('request.notFound'));
+  }
+  const event = storage.get('events', request.eventId);
+  req.event = event;
+  if (event && !canReadEvent(req, event)) {
+    return sendError(res, 401, req.t('event.passwordRequired'), { passwordRequired: true });
   }
+  sendResponse(res, true, req.t('request.found'), requestViews.guestRequest(request));
 });
 
-app.patch('/api/requests/:requestId', (req, res) => {
-  const request = data.requests.find(r => r.id === req.params.requestId);
+app.patch('/api/requests/:requestId', requireAuth, validate({
+  body: { status: { type: 'string', required: true, enum: REQUEST_STATUSES } }
+}), (req, res) => {
+  const request = storage.get('requests', req.params.requestId);
   if (!request) {
-    return sendResponse(res, false, 'Pedido não encontrado');
+    return sendError(res, 404, req.t('request.notFound'));
+  }
+
+  const event = storage.get('events', request.eventId);
+  if (event && !canManageEvent(req.user, event)) {
+    return sendError(res, 403, req.t('event.forbidden'));
   }
 
   const { status } = req.body;
-  if (status) {
-    request.status = status;
-    request.respondedAt = Date.now();
+  if (status === request.status) {
+    return sendResponse(res, true, req.t('request.statusUpdated'), requestViews.djRequest(request));
+  }
+  if (!requestStatus.canTransition(request.status, status)) {
+    return sendError(res, 409, req.t('request.invalidTransition', { from: request.status, to: status }));
   }
 
-  saveData();
-  io.emit('request_updated', request);
-  sendResponse(res, true, 'Status atualizado', request);
+  changeRequestStatus(request, status, req.user.id);
+  sendResponse(res, true, req.t('request.statusUpdated'), requestViews.djRequest(request));
+});
+
+// Moderação do DJ: index é a posição em requesters (quem pediu, na ordem em que chegou)
+app.patch('/api/requests/:requestId/messages/:index', requireAuth, validate({
+  body: { status: { type: 'string', required: true, enum: moderation.MESSAGE_STATUSES } }
+}), (req, res) => {
+  const request = storage.get('requests', req.params.requestId);
+  const requester = request && (request.requesters || [])[Number(req.params.index)];
+  if (!requester) {
+    return sendError(res, 404, req.t('moderation.messageNotFound'));
+  }
+
+  const event = storage.get('events', request.eventId);
+  if (event && !canManageEvent(req.user, event)) {
+    return sendError(res, 403, req.t('event.forbidden'));
+  }
+
+  requester.messageStatus = req.body.status;
+  requester.moderatedBy = req.user.id;
+  requester.moderatedAt = Date.now();
+  storage.update('requests', request);
+
+  emitRequestUpdate(request);
+  sendResponse(res, true, req.t('moderation.updated'), requestViews.djRequest(request));
+});
+
+// Tenta de novo enviar ao Spotify um pedido aceito ou tocando cuja sincronização falhou
+app.post('/api/requests/:requestId/spotify-sync', requireAuth, async (req, res) => {
+  const request = storage.get('requests', req.params.requestId);
+  if (!request) {
+    return sendError(res, 404, req.t('request.notFound'));
+  }
+
+  const event = storage.get('events', request.eventId);
+  if (event && !canManageEvent(req.user, event)) {
+    return sendError(res, 403, req.t('event.forbidden'));
+  }
+  if (!event || spotifySync.getSpotifySync(event).mode === 'off') {
+    return sendError(res, 409, req.t('spotify.syncDisabled'));
+  }
+  if (!spotifySync.SYNC_REQUEST_STATUSES.includes(request.status)) {
+    return sendError(res, 409, req.t('spotify.onlyAccepted'));
+  }
+
+  const synced = await syncToSpotify(request);
+  sendResponse(res, true, req.t('spotify.syncUpdated'), requestViews.djRequest(synced));
+});
+
+// Voto conta uma vez por sessão do convidado (o guestId dela é gerado pelo servidor)
+app.post('/api/requests/:requestId/vote', requireGuestSession, (req, res) => {
+  const request = storage.get('requests', req.params.requestId);
+  if (!request) {
+    return sendError(res, 404, req.t('request.notFound'));
+  }
+
+  const event = storage.get('events', request.eventId);
+  req.event = event;
+  if (event && !guestCanAccess(req, event)) {
+    return sendError(res, 401, req.t('event.passwordRequired'), { passwordRequired: true });
+  }
+  if (!event || !event.active || request.status !== 'pending') {
+    return sendError(res, 409, req.t('vote.closed'));
+  }
+
+  const { guestId } = req.guestSession;
+  if (!requestViews.addVote(request, guestId)) {
+    return sendError(res, 409, req.t('vote.alreadyVoted'), requestViews.publicRequest(request, guestId));
+  }
+
+  storage.update('requests', request);
+  emitRequestUpdate(request);
+  sendResponse(res, true, req.t('vote.registered'), requestViews.publicRequest(request, guestId));
+});
+
+app.delete('/api/requests/:requestId/vote', requireGuestSession, (req, res) => {
+  const request = storage.get('requests', req.params.requestId);
+  if (!request) {
+    return sendError(res, 404, req.t('request.notFound'));
+  }
+
+  const event = storage.get('events', request.eventId);
+  req.event = event;
+  if (event && !guestCanAccess(req, event)) {
+    return sendError(res, 401, req.t('event.passwordRequired'), { passwordRequired: true });
+  }
+
+  const { guestId } = req.guestSession;
+  if ((request.requesters || []).some(r => r.guestId === guestId)) {
+    return sendError(res, 409, req.t('vote.ownRequest'), requestViews.publicRequest(request, guestId));
+  }
+  if (request.status !== 'pending' || !requestViews.removeVote(request, guestId)) {
+    return sendError(res, 409, req.t('vote.notVoted'), requestViews.publicRequest(request, guestId));
+  }
+
+  storage.update('requests', request);
+  emitRequestUpdate(request);
+  sendResponse(res, true, req.t('vote.removed'), requestViews.publicRequest(request, guestId));
 });
 
 app.get('/api/stats/top-tracks', (req, res) => {
-  const trackCounts = {};
-  data.requests.forEach(r => {
-    const key = `${r.trackName}|||${r.artistName}`;
-    if (!trackCounts[key]) {
-      trackCounts[key] = { trackName: r.trackName, artistName: r.artistName, count: 0 };
-    }
-    trackCounts[key].count++;
-  });
+  const topTracks = eventStats.countTopTracks(storage.find('requests'), 20);
+  sendResponse(res, true, req.t('stats.topTracksLoaded'), topTracks);
+});
+
+const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+// Tendências entre eventos para planejar os próximos sets. Cada DJ vê só os próprios eventos;
+// administradores (ADMIN_USERNAMES) veem todos ou filtram um DJ com ownerId
+app.get('/api/analytics/trends', requireAuth, validate({
+  query: {
+    from: { type: 'string', pattern: datePattern },
+    to: { type: 'string', pattern: datePattern },
+    ownerId: { type: 'string', maxLength: 64 },
+    timeZone: { type: 'string', maxLength: 64 }
+  }
+}), (req, res) => {
+  const { from, to, ownerId, timeZone = 'UTC' } = req.query;
+  if (!isValidTimeZone(timeZone)) {
+    return sendError(res, 400, req.t('analytics.invalidTimeZone'));
+  }
+
+  const admin = auth.isAdmin(req.user);
+  const requestedOwner = ownerId === 'me' ? req.user.id : ownerId;
+  if (!admin && requestedOwner && requestedOwner !== req.user.id) {
+    return sendError(res, 403, req.t('analytics.otherOwnerForbidden'));
+  }
 
-  const topTracks = Object.values(trackCounts)
-    .sort((a, b) => b.count - a.count)
-    .slice(0, 20);
+  const where = {};
+  if (!admin || requestedOwner) where.ownerId = requestedOwner || req.user.id;
+  const events = storage.find('events', where);
 
-  sendResponse(res, true, 'Top tracks carregados', topTracks);
+  const requestsByEvent = new Map(events.map(event => [event.id, []]));
+  if (events.length > 0) {
+    storage.find('requests', { eventId: [...requestsByEvent.keys()] })
+      .forEach(request => requestsByEvent.get(request.eventId).push(request));
+  }
+
+  sendResponse(res, true, req.t('analytics.trendsLoaded'),
+    analytics.getTrends(events, requestsByEvent, { from: from || null, to: to || null, timeZone }));
 });
 
-app.get('/api/search/tracks', async (req, res) => {
-  const { q } = req.query;
-  
-  if (!q || q.trim().length < 2) {
-    return sendResponse(res, false, 'Query muito curta', []);
+app.get('/api/search/tracks', validate({
+  query: {
+    q: { type: 'string', required: true, minLength: 2, maxLength: 200 },
+    eventId: { type: 'string', maxLength: 64 }
   }
+}), async (req, res) => {
+  const { q, eventId } = req.query;
 
   try {
-    const tracks = await searchSpotifyTracks(q);
-    sendResponse(res, true, 'Músicas encontradas', tracks);
+    const event = eventId ? storage.get('events', eventId) : null;
+    req.event = event;
+    const result = await search.searchTracks(q, { event });
+    let tracks = result.tracks.map(track => ({ ...track, styleMatch: true }));
+
+    if (event && (event.acceptedStyles || []).length > 0) {
+      tracks = tracks.map(track => ({
+        ...track,
+        styleMatch: styles.matchesAcceptedStyles(track.genres, event.acceptedStyles)
+      }));
+      if (event.styleFilterMode === 'reject') {
+        tracks = tracks.filter(track => track.styleMatch !== false);
+      }
+    }
+
+    const message = req.t(result.unavailable ? 'search.unavailable' : result.degraded ? 'search.degraded' : 'search.found');
+    sendResponse(res, true, message, tracks, { degraded: result.degraded, unavailable: result.unavailable });
   } catch (error) {
     console.error('Search error:', error);
-    sendResponse(res, false, 'Erro ao buscar músicas', []);
+    sendError(res, 502, req.t('search.failed'), [], { degraded: true });
   }
 });
 
-app.use(express.static(path.join(__dirname, '../client/dist')));
+// Textos das páginas em client/dist em todos os idiomas; elas escolhem o idioma no navegador
+app.get('/api/i18n/:page', validate({
+  params: { page: { type: 'string', enum: i18n.CLIENT_PAGES } }
+}), (req, res) => {
+  sendResponse(res, true, req.t('i18n.loaded'), i18n.clientMessages(req.params.page));
+});
+
+app.use('/api', (req, res) => {
+  sendError(res, 404, req.t('api.notFound'));
+});
+
+// Erros do express.json (JSON malformado, corpo grande demais) e falhas inesperadas
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  if (err.type === 'entity.parse.failed' || err.type === 'entity.too.large') {
+    return sendError(res, err.status || 400, req.t('api.invalidBody'));
+  }
+  console.error('Unhandled error:', err);
+  sendError(res, 500, req.t('api.internalError'));
+});
+
+// A página do convidado não tem script nem estilo inline: com o CSP, um nome de música com
+// HTML não vira script nem na página de quem pediu nem na dos outros
+const CLIENT_DIR = path.join(__dirname, '../client/dist');
+const CLIENT_CSP = [
+  "default-src 'self'",
+  "script-src 'self'",
+  "style-src 'self' https://fonts.googleapis.com",
+  "font-src https://fonts.gstatic.com",
+  "img-src 'self' https:",
+  "connect-src 'self'",
+  "object-src 'none'",
+  "base-uri 'none'",
+  "frame-ancestors 'none'"
+].join('; ');
+
+function setClientHeaders(res) {
+  res.setHeader('Content-Security-Policy', CLIENT_CSP);
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+}
+
+app.use(express.static(CLIENT_DIR, { setHeaders: setClientHeaders }));
+
+// Painel do DJ no navegador, alternativa ao app
+app.get('/dj', (req, res) => {
+  setClientHeaders(res);
+  res.sendFile(path.join(CLIENT_DIR, 'dj.html'));
+});
 
 app.get('*', (req, res) => {
-  const indexPath = path.join(__dirname, '../client/dist/index.html');
-  if (fs.existsSync(indexPath)) {
-    res.sendFile(indexPath);
-  } else {
-    res.send(`
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <title>MusicAsk</title>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <style>
-          @import url('https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700;800&display=swap');
-          
-          * { 
-            margin: 0; 
-            padding: 0; 
-            box-sizing: border-box; 
-          }
-          
-          body { 
-            font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; 
-            background: linear-gradient(135deg, #0a0e27 0%, #1a1a2e 50%, #16213e 100%);
-            color: #fff; 
-            min-height: 100vh; 
-            display: flex; 
-            flex-direction: column; 
-            align-items: center; 
-            justify-content: center; 
-            padding: 20px;
-            position: relative;
-            overflow-x: hidden;
-          }
-          
-          body::before {
-            content: '';
-            position: fixed;
-            top: -50%;
-            left: -50%;
-            width: 200%;
-            height: 200%;
-            background: radial-gradient(circle, rgba(108, 99, 255, 0.1) 0%, transparent 70%);
-            animation: pulse 15s ease-in-out infinite;
-            pointer-events: none;
-          }
-          
-          @keyframes pulse {
-            0%, 100% { transform: scale(1); opacity: 0.5; }
-            50% { transform: scale(1.1); opacity: 0.8; }
-          }
-          
-          @keyframes fadeInUp {
-            from {
-              opacity: 0;
-              transform: translateY(30px);
-            }
-            to {
-              opacity: 1;
-              transform: translateY(0);
-            }
-          }
-          
-          @keyframes slideIn {
-            from {
-              opacity: 0;
-              transform: translateX(-20px);
-            }
-            to {
-              opacity: 1;
-              transform: translateX(0);
-            }
-          }
-          
-          .container { 
-            max-width: 480px; 
-            width: 100%; 
-            text-align: center;
-            position: relative;
-            z-index: 1;
-            animation: fadeInUp 0.8s ease-out;
-          }
-          
-          .logo {
-            width: 80px;
-            height: 80px;
-            margin: 0 auto 1.5rem;
-            background: linear-gradient(135deg, #6C63FF 0%, #5A52D9 100%);
-            border-radius: 24px;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            font-size: 2.5rem;
-            box-shadow: 0 20px 60px rgba(108, 99, 255, 0.4);
-            animation: fadeInUp 0.8s ease-out 0.2s both;
-          }
-          
-          h1 { 
-            background: linear-gradient(135deg, #6C63FF 0%, #9D8CFF 100%);
-            -webkit-background-clip: text;
-            -webkit-text-fill-color: transparent;
-            background-clip: text;
-            font-size: 2.8rem; 
-            font-weight: 800;
-            margin-bottom: 0.5rem;
-            letter-spacing: -0.5px;
-            animation: fadeInUp 0.8s ease-out 0.3s both;
-          }
-          
-          p { 
-            color: rgba(255, 255, 255, 0.6); 
-            margin-bottom: 2.5rem;
-            font-size: 1rem;
-            font-weight: 400;
-            animation: fadeInUp 0.8s ease-out 0.4s both;
-          }
-          
-          .form-group { 
-            margin-bottom: 1.5rem;
-            position: relative;
-            animation: fadeInUp 0.8s ease-out 0.5s both;
-          }
-          
-          input { 
-            width: 100%; 
-            padding: 18px 20px; 
-            font-size: 16px; 
-            border: 2px solid rgba(255, 255, 255, 0.1); 
-            border-radius: 16px; 
-            background: rgba(255, 255, 255, 0.05);
-            backdrop-filter: blur(10px);
-            color: #fff; 
-            transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
-            font-family: 'Inter', sans-serif;
-          }
-          
-          input.code-input {
-            font-size: 28px;
-            text-align: center;
-            letter-spacing: 12px;
-            font-weight: 600;
-          }
-          
-          input:focus { 
-            outline: none; 
-            border-color: #6C63FF;
-            background: rgba(108, 99, 255, 0.1);
-            box-shadow: 0 0 0 4px rgba(108, 99, 255, 0.1);
-            transform: translateY(-2px);
-          }
-          
-          input::placeholder {
-            color: rgba(255, 255, 255, 0.3);
-          }
-          
-          button { 
-            width: 100%; 
-            padding: 18px; 
-            font-size: 16px; 
-            font-weight: 600;
-            background: linear-gradient(135deg, #6C63FF 0%, #5A52D9 100%);
-            color: #fff; 
-            border: none; 
-            border-radius: 16px; 
-            cursor: pointer; 
-            margin-top: 1rem;
-            transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
-            box-shadow: 0 10px 30px rgba(108, 99, 255, 0.3);
-            position: relative;
-            overflow: hidden;
-          }
-          
-          button::before {
-            content: '';
-            position: absolute;
-            top: 0;
-            left: -100%;
-            width: 100%;
-            height: 100%;
-            background: linear-gradient(90deg, transparent, rgba(255, 255, 255, 0.2), transparent);
-            transition: left 0.5s;
-          }
-          
-          button:hover::before {
-            left: 100%;
-          }
-          
-          button:hover { 
-            transform: translateY(-2px);
-            box-shadow: 0 15px 40px rgba(108, 99, 255, 0.4);
-          }
-          
-          button:active {
-            transform: translateY(0);
-          }
-          
-          .error { 
-            color: #FF6B6B; 
-            margin-top: 1rem; 
-            display: none;
-            padding: 12px;
-            background: rgba(255, 107, 107, 0.1);
-            border-radius: 12px;
-            font-size: 14px;
-            animation: slideIn 0.3s ease-out;
-          }
-          
-          #requestForm { 
-            display: none; 
-          }
-          
-          .search-input { 
-            letter-spacing: normal; 
-            text-align: left; 
-          }
-          
-          .track-list { 
-            margin-top: 1.5rem; 
-            text-align: left;
-            max-height: 400px;
-            overflow-y: auto;
-            padding-right: 8px;
-          }
-          
-          .track-list::-webkit-scrollbar {
-            width: 6px;
-          }
-          
-          .track-list::-webkit-scrollbar-track {
-            background: rgba(255, 255, 255, 0.05);
-            border-radius: 10px;
-          }
-          
-          .track-list::-webkit-scrollbar-thumb {
-            background: rgba(108, 99, 255, 0.5);
-            border-radius: 10px;
-          }
-          
-          .track-item { 
-            background: rgba(255, 255, 255, 0.05);
-            backdrop-filter: blur(10px);
-            padding: 16px; 
-            border-radius: 14px; 
-            margin-bottom: 10px; 
-            cursor: pointer; 
-            border: 2px solid transparent;
-            transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
-            animation: slideIn 0.4s ease-out backwards;
-          }
-          
-          .track-item:nth-child(1) { animation-delay: 0.1s; }
-          .track-item:nth-child(2) { animation-delay: 0.2s; }
-          .track-item:nth-child(3) { animation-delay: 0.3s; }
-          
-          .track-item:hover { 
-            border-color: #6C63FF;
-            background: rgba(108, 99, 255, 0.1);
-            transform: translateX(8px);
-            box-shadow: 0 8px 24px rgba(108, 99, 255, 0.2);
-          }
-          
-          .track-name { 
-            font-weight: 600;
-            font-size: 15px;
-            margin-bottom: 4px;
-            color: #fff;
-          }
-          
-          .artist-name { 
-            color: rgba(255, 255, 255, 0.5); 
-            font-size: 13px;
-            font-weight: 400;
-          }
-          
-          .name-input { 
-            letter-spacing: normal; 
-            text-align: left; 
-          }
-          
-          .status { 
-            padding: 20px; 
-            background: rgba(255, 255, 255, 0.05);
-            backdrop-filter: blur(10px);
-            border-radius: 16px; 
-            margin-top: 1rem;
-            border-left: 4px solid;
-            transition: all 0.3s ease;
-            animation: slideIn 0.4s ease-out;
-          }
-          
-          .status:hover {
-            transform: translateX(4px);
-          }
-          
-          .status.pending { 
-            border-left-color: #FFA726;
-            background: rgba(255, 167, 38, 0.1);
-          }
-          
-          .status.accepted { 
-            border-left-color: #66BB6A;
-            background: rgba(102, 187, 106, 0.1);
-          }
-          
-          .status.rejected { 
-            border-left-color: #EF5350;
-            background: rgba(239, 83, 80, 0.1);
-          }
-          
-          .status.later { 
-            border-left-color: #42A5F5;
-            background: rgba(66, 165, 245, 0.1);
-          }
-          
-          #myRequests { 
-            margin-top: 2.5rem; 
-            text-align: left; 
-          }
-          
-          #myRequests h3 {
-            font-size: 1.2rem;
-            font-weight: 700;
-            margin-bottom: 1rem;
-            color: rgba(255, 255, 255, 0.9);
-          }
-          
-          .back-btn { 
-            background: transparent; 
-            border: 2px solid rgba(108, 99, 255, 0.5); 
-            color: #6C63FF; 
-            margin-top: 1rem;
-            box-shadow: none;
-          }
-          
-          .back-btn:hover {
-            background: rgba(108, 99, 255, 0.1);
-            border-color: #6C63FF;
-          }
-          
-          #selectedTrack {
-            margin-top: 1.5rem;
-          }
-          
-          #selectedTrack .track-item {
-            border-color: #6C63FF;
-            background: rgba(108, 99, 255, 0.15);
-            animation: none;
-          }
-          
-          .status-badge {
-            display: inline-block;
-            padding: 6px 12px;
-            border-radius: 20px;
-            font-size: 12px;
-            font-weight: 600;
-            margin-top: 8px;
-          }
-          
-          .status-badge.pending { background: rgba(255, 167, 38, 0.2); color: #FFA726; }
-          .status-badge.accepted { background: rgba(102, 187, 106, 0.2); color: #66BB6A; }
-          .status-badge.rejected { background: rgba(239, 83, 80, 0.2); color: #EF5350; }
-          .status-badge.later { background: rgba(66, 165, 245, 0.2); color: #42A5F5; }
-          
-          @media (max-width: 480px) {
-            h1 { font-size: 2.2rem; }
-            .container { padding: 0 10px; }
-            input.code-input { font-size: 24px; letter-spacing: 8px; }
-          }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div id="codeForm">
-            <div class="logo">🎵</div>
-            <h1>MusicAsk</h1>
-            <p>Digite o código do evento para fazer seu pedido</p>
-            <div class="form-group">
-              <input type="text" id="eventCode" class="code-input" maxlength="4" placeholder="0000" pattern="[0-9]*" inputmode="numeric">
-            </div>
-            <button onclick="validateCode()">Entrar</button>
-            <p class="error" id="codeError">Código inválido ou evento encerrado</p>
-          </div>
-          <div id="requestForm">
-            <div class="logo">🎵</div>
-            <h1>Pedir Música</h1>
-            <p id="eventName">Evento</p>
-            <div class="form-group">
-              <input type="text" id="searchInput" class="search-input" placeholder="Buscar música...">
-            </div>
-            <div class="form-group">
-              <input type="text" id="requesterName" class="name-input" placeholder="Seu nome (opcional)">
-            </div>
-            <div id="trackList" class="track-list"></div>
-            <div id="selectedTrack" style="display:none;">
-              <div class="track-item" style="border-color: #6C63FF;">
-                <div class="track-name" id="selectedTrackName"></div>
-                <div class="artist-name" id="selectedArtistName"></div>
-              </div>
-              <button onclick="submitRequest()">Enviar Pedido</button>
-            </div>
-            <p class="error" id="requestError"></p>
-            <div id="myRequests"></div>
-            <button class="back-btn" onclick="goBack()">Voltar</button>
-          </div>
-        </div>
-        <script src="/socket.io/socket.io.js"></script>
-        <script>
-          let currentEventId = null;
-          let selectedTrack = null;
-          let myRequests = JSON.parse(localStorage.getItem('myRequests') || '[]');
-          let socket = null;
-          try {
-            socket = typeof io !== 'undefined' ? io() : null;
-            if (socket) {
-              socket.on('request_updated', (request) => {
-                updateMyRequestStatus(request);
-              });
-            }
-          } catch(e) { console.log('Socket not available'); }
-          function validateCode() {
-            const code = document.getElementById('eventCode').value;
-            fetch('/api/events/validate', {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({ code })
-            })
-            .then(res => res.json())
-            .then(data => {
-              if (data.success) {
-                currentEventId = data.data.eventId;
-                document.getElementById('eventName').textContent = data.data.eventName;
-                document.getElementById('codeForm').style.display = 'none';
-                document.getElementById('requestForm').style.display = 'block';
-                renderMyRequests();
-              } else {
-                document.getElementById('codeError').style.display = 'block';
-              }
-            });
-          }
-          document.getElementById('eventCode').addEventListener('input', function() {
-            document.getElementById('codeError').style.display = 'none';
-          });
-          document.getElementById('eventCode').addEventListener('keypress', function(e) {
-            if (e.key === 'Enter') validateCode();
-          });
-          let searchTimeout;
-          let searchResults = [];
-          
-          document.getElementById('searchInput').addEventListener('input', function() {
-            clearTimeout(searchTimeout);
-            const query = this.value.trim();
-            if (query.length < 2) {
-              document.getElementById('trackList').innerHTML = '';
-              searchResults = [];
-              return;
-            }
-            searchTimeout = setTimeout(() => searchTracks(query), 500);
-          });
-          
-          async function searchTracks(query) {
-            try {
-              const response = await fetch('/api/search/tracks?q=' + encodeURIComponent(query));
-              const data = await response.json();
-              if (data.success) {
-                searchResults = data.data;
-                renderTracks(searchResults);
-              }
-            } catch (error) {
-              console.error('Error searching tracks:', error);
-            }
-          }
-          
-          function renderTracks(tracks) {
-            const list = document.getElementById('trackList');
-            if (tracks.length === 0) {
-              list.innerHTML = '<div style="text-align: center; padding: 20px; color: rgba(255,255,255,0.5);">Nenhuma música encontrada</div>';
-              return;
-            }
-            list.innerHTML = tracks.map((t, i) => {
-              const imageHtml = t.image ? 
-                '<img src="' + t.image + '" style="width: 48px; height: 48px; border-radius: 8px; margin-right: 12px; object-fit: cover;">' : 
-                '<div style="width: 48px; height: 48px; border-radius: 8px; margin-right: 12px; background: rgba(108,99,255,0.2); display: flex; align-items: center; justify-content: center; font-size: 20px;">🎵</div>';
-              return '<div class="track-item" onclick="selectTrack(' + i + ')" style="display: flex; align-items: center;">' +
-                imageHtml +
-                '<div style="flex: 1; min-width: 0;">' +
-                '<div class="track-name" style="white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">' + t.name + '</div>' +
-                '<div class="artist-name" style="white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">' + t.artist + '</div>' +
-                '</div>' +
-              '</div>';
-            }).join('');
-          }
-          
-          function selectTrack(index) {
-            const track = searchResults[index];
-            selectedTrack = {
-              name: track.name,
-              artist: track.artist,
-              image: track.image,
-              uri: track.uri
-            };
-            
-            const imageHtml = track.image ? 
-              '<img src="' + track.image + '" style="width: 64px; height: 64px; border-radius: 12px; margin-bottom: 12px; object-fit: cover;">' : 
-              '';
-              
-            document.getElementById('selectedTrack').innerHTML = 
-              '<div class="track-item" style="border-color: #6C63FF; text-align: center;">' +
-                imageHtml +
-                '<div class="track-name" id="selectedTrackName">' + track.name + '</div>' +
-                '<div class="artist-name" id="selectedArtistName">' + track.artist + '</div>' +
-              '</div>' +
-              '<button onclick="submitRequest()">Enviar Pedido</button>';
-              
-            document.getElementById('trackList').style.display = 'none';
-            document.getElementById('selectedTrack').style.display = 'block';
-          }
-          function submitRequest() {
-            if (!selectedTrack) return;
-            const requesterName = document.getElementById('requesterName').value.trim() || 'Anônimo';
-            fetch('/api/requests', {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({
-                eventId: currentEventId,
-                trackName: selectedTrack.name,
-                artistName: selectedTrack.artist,
-                albumImage: selectedTrack.image,
-                spotifyUri: selectedTrack.uri,
-                requesterName
-              })
-            })
-            .then(res => res.json())
-            .then(data => {
-              if (data.success) {
-                myRequests.push(data.data);
-                localStorage.setItem('myRequests', JSON.stringify(myRequests));
-                renderMyRequests();
-                document.getElementById('searchInput').value = '';
-                document.getElementById('trackList').innerHTML = '';
-                document.getElementById('trackList').style.display = 'block';
-                document.getElementById('selectedTrack').style.display = 'none';
-                selectedTrack = null;
-                searchResults = [];
-                alert('✓ Pedido enviado com sucesso!');
-              } else {
-                document.getElementById('requestError').textContent = data.message;
-                document.getElementById('requestError').style.display = 'block';
-              }
-            });
-          }
-          function renderMyRequests() {
-            const eventRequests = myRequests.filter(r => r.eventId === currentEventId);
-            if (eventRequests.length === 0) {
-              document.getElementById('myRequests').innerHTML = '';
-              return;
-            }
-            document.getElementById('myRequests').innerHTML = '<h3>Seus pedidos</h3>' +
-              eventRequests.map(r => {
-                let statusClass = 'pending';
-                let statusText = 'Aguardando...';
-                let icon = '⏳';
-                if (r.status === 'accepted') { statusClass = 'accepted'; statusText = 'Programada para tocar'; icon = '✓'; }
-                else if (r.status === 'rejected') { statusClass = 'rejected'; statusText = 'Não disponível'; icon = '✗'; }
-                else if (r.status.startsWith('later')) { statusClass = 'later'; statusText = 'Agendada para mais tarde'; icon = '⏰'; }
-                return '<div class="status ' + statusClass + '" id="req-' + r.id + '">' +
-                  '<div class="track-name">' + r.trackName + '</div>' +
-                  '<div class="artist-name">' + r.artistName + '</div>' +
-                  '<div class="status-badge ' + statusClass + '">' + icon + ' ' + statusText + '</div>' +
-                '</div>';
-              }).join('');
-          }
-          function updateMyRequestStatus(request) {
-            const idx = myRequests.findIndex(r => r.id === request.id);
-            if (idx !== -1) {
-              myRequests[idx] = request;
-              localStorage.setItem('myRequests', JSON.stringify(myRequests));
-              renderMyRequests();
-            }
-          }
-          function goBack() {
-            document.getElementById('codeForm').style.display = 'block';
-            document.getElementById('requestForm').style.display = 'none';
-            document.getElementById('eventCode').value = '';
-            currentEventId = null;
-          }
-        </script>
-      </body>
-      </html>
-    `);
+  const indexPath = path.join(CLIENT_DIR, 'index.html');
+  if (!fs.existsSync(indexPath)) {
+    return res.status(404).send('client/dist/index.html não encontrado');
   }
+  setClientHeaders(res);
+  res.sendFile(indexPath);
 });
 
 io.on('connection', (socket) => {
   console.log('Client connected');
 
+  const handshakeAuth = socket.handshake.auth || {};
+  const socketUser = findSessionUser(handshakeAuth.token);
+  const socketLocale = i18n.matchLocale(handshakeAuth.locale) ||
+    i18n.parseAcceptLanguage(socket.handshake.headers['accept-language']);
+  if (socketUser) {
+    socket.join(userRoom(socketUser.id));
+  }
+
+  // Sem token não há como saber se o convidado digitou a senha, então eventos com senha ficam de fora
   socket.on('join_event', (eventId) => {
-    socket.join(eventId);
+    if (typeof eventId !== 'string') return;
+    const event = storage.get('events', eventId);
+    if (event && event.passwordHash) return;
+    socket.join(eventRoom(eventId));
+  });
+
+  socket.on('join_dj', (payload, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    const { eventId, token } = payload || {};
+    const user = socketUser || findSessionUser(token);
+    const event = typeof eventId === 'string' ? storage.get('events', eventId) : null;
+    const t = key => i18n.translate(socketLocale || (event && event.locale) || i18n.DEFAULT_LOCALE, key);
+
+    if (!user) return reply({ success: false, message: t('auth.loginRequired') });
+    if (!event) return reply({ success: false, message: t('event.notFound') });
+    if (!canManageEvent(user, event)) {
+      return reply({ success: false, message: t('event.forbidden') });
+    }
+
+    socket.join(djRoom(event.id));
+    socket.join(eventRoom(event.id));
+    reply({ success: true, message: t('event.djConnected') });
+
+    // Lembretes que venceram enquanto o DJ estava desconectado
+    storage.find('requests', { eventId: event.id, status: LATER_STATUSES })
+      .filter(r => r.laterReminderSentAt)
+      .forEach(r => socket.emit('later_reminder', { ...requestViews.djRequest(r), laterDue: true }));
+  });
+
+  // Convidado com token: entra na sala do evento e nas dos próprios pedidos, e recebe a lista
+  // atualizada no ack (usado a cada reconexão para não ficar com status velho)
+  socket.on('join_guest', (payload, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    const { eventId, guestToken } = payload || {};
+    const session = findGuestSession(guestToken);
+    const event = typeof eventId === 'string' ? storage.get('events', eventId) : null;
+    const t = key => i18n.translate(socketLocale || (event && event.locale) || i18n.DEFAULT_LOCALE, key);
+
+    if (!session) return reply({ success: false, message: t('auth.guestTokenRequired') });
+    if (!event) return reply({ success: false, message: t('event.notFound') });
+    if (!eventViews.hasUnlocked(session, event)) return reply({ success: false, message: t('event.passwordRequired') });
+
+    touchGuestSession(session);
+    const mine = findGuestRequests(event.id, session.guestId);
+    socket.join(eventRoom(event.id));
+    socket.join(guestRoom(session.guestId));
+    mine.forEach(r => socket.join(requestRoom(r.id)));
+    reply({ success: true, message: t('request.mineLoaded'), data: mine.map(requestViews.guestRequest) });
+  });
+
+  // Como no join_event, sem token os pedidos de eventos com senha ficam de fora
+  socket.on('watch_requests', (requestIds) => {
+    if (!Array.isArray(requestIds)) return;
+    requestIds.forEach(id => {
+      const request = typeof id === 'string' && storage.get('requests', id);
+      const event = request && storage.get('events', request.eventId);
+      if (request && !(event && event.passwordHash)) {
+        socket.join(requestRoom(id));
+      }
+    });
   });
 
   socket.on('disconnect', () => {
@@ -958,6 +1613,35 @@ io.on('connection', (socket) => {
   });
 });
 
+startLaterScheduler({
+  storage,
+  intervalMs: Number(process.env.LATER_SCHEDULER_INTERVAL_MS) || undefined,
+  onDue: (request) => {
+    io.to(djRoom(request.eventId)).emit('later_reminder', { ...requestViews.djRequest(request), laterDue: true });
+    emitRequestUpdate(request);
+  }
+});
+
+startEventScheduler({
+  storage,
+  isCodeInUse,
+  intervalMs: Number(process.env.EVENT_SCHEDULER_INTERVAL_MS) || undefined,
+  onStart: (event) => {
+    io.to(userRoom(event.ownerId)).emit('event_created', eventViews.ownerEvent(event));
+    emitEventUpdate(event);
+  },
+  onEnd: (event) => emitEventUpdate(event, 'event_ended')
+});
+
+pruneGuestSessions();
+setInterval(() => {
+  try {
+    pruneGuestSessions();
+  } catch (error) {
+    console.error('Guest session prune error:', error.message);
+  }
+}, GUEST_SESSION_PRUNE_INTERVAL);
+
 const PORT = process.env.PORT || 5000;
 server.listen(PORT, '0.0.0.0', () => {
   console.log(`MusicAsk server running on port ${PORT}`);
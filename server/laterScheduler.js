@@ -0,0 +1,49 @@
+const { LATER_STATUSES } = require('./requests');
+const { getLaterDueAt } = require('./requestStatus');
+
+const DEFAULT_INTERVAL = 15 * 1000;
+
+// Varre os pedidos "mais tarde" e avisa o DJ quando a janela abre. Como laterDueAt e
+// laterReminderSentAt ficam no storage, um restart não perde nem repete lembretes.
+function startLaterScheduler({ storage, onDue, intervalMs = DEFAULT_INTERVAL }) {
+  function tick(now = Date.now()) {
+    const activeEvents = new Map();
+    const isActive = eventId => {
+      if (!activeEvents.has(eventId)) {
+        const event = storage.get('events', eventId);
+        activeEvents.set(eventId, Boolean(event && event.active));
+      }
+      return activeEvents.get(eventId);
+    };
+
+    storage.find('requests', { status: LATER_STATUSES })
+      .filter(request => !request.laterReminderSentAt && isActive(request.eventId))
+      .forEach(request => {
+        const dueAt = getLaterDueAt(request);
+        if (dueAt > now) return;
+
+        request.laterDueAt = dueAt;
+        request.laterReminderSentAt = now;
+        storage.update('requests', request);
+        onDue(request);
+      });
+  }
+
+  tick();
+  const timer = setInterval(() => {
+    try {
+      tick();
+    } catch (error) {
+      console.error('Later scheduler error:', error.message);
+    }
+  }, intervalMs);
+
+  return {
+    tick,
+    stop: () => clearInterval(timer)
+  };
+}
+
+module.exports = {
+  startLaterScheduler
+};
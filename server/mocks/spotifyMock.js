@@ -0,0 +1,110 @@
+const express = require('express');
+
+// Mock mínimo das rotas do Spotify que o MusicAsk usa na conexão do DJ (authorization code
+// e refresh token) e na sincronização dos pedidos (playlist e fila). Serve para os testes e
+// para rodar o servidor sem uma conta de verdade:
+//   node server/mocks/spotifyMock.js
+//   SPOTIFY_ACCOUNTS_URL=http://localhost:5099 SPOTIFY_API_URL=http://localhost:5099/v1 npm start
+function createSpotifyMock() {
+  const calls = [];
+  // Respostas forçadas para a próxima chamada de um método + caminho (ex.: 401, 429)
+  const failures = [];
+  const accessTokens = new Set();
+  let tokenCount = 0;
+  let server = null;
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+  app.use(express.json());
+
+  app.use((req, res, next) => {
+    calls.push({
+      method: req.method,
+      path: req.path,
+      query: req.query,
+      body: req.body,
+      authorization: req.get('authorization') || null
+    });
+    const index = failures.findIndex(failure => failure.method === req.method && failure.path === req.path);
+    if (index === -1) return next();
+    const [failure] = failures.splice(index, 1);
+    res.set(failure.headers).status(failure.status).json(failure.body);
+  });
+
+  // Autoriza na hora, sem tela de login: volta para o redirect_uri com um code
+  app.get('/authorize', (req, res) => {
+    if (!req.query.redirect_uri || !req.query.state) {
+      return res.status(400).json({ error: 'invalid_request' });
+    }
+    const url = new URL(req.query.redirect_uri);
+    url.searchParams.set('code', `code-${calls.length}`);
+    url.searchParams.set('state', req.query.state);
+    res.redirect(url.toString());
+  });
+
+  app.post('/api/token', (req, res) => {
+    const grantType = req.body.grant_type;
+    if (!req.get('authorization') || !req.get('authorization').startsWith('Basic ')) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+    if (grantType !== 'authorization_code' && grantType !== 'refresh_token') {
+      return res.status(400).json({ error: 'unsupported_grant_type' });
+    }
+
+    tokenCount++;
+    const accessToken = `access-${tokenCount}`;
+    accessTokens.add(accessToken);
+    res.json({
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: 3600,
+      // Como no Spotify, a renovação normalmente não traz um refresh token novo
+      refresh_token: grantType === 'authorization_code' ? `refresh-${tokenCount}` : undefined,
+      scope: 'playlist-modify-private user-modify-playback-state'
+    });
+  });
+
+  const api = express.Router();
+  api.use((req, res, next) => {
+    const token = (req.get('authorization') || '').replace(/^Bearer /, '');
+    if (!accessTokens.has(token)) {
+      return res.status(401).json({ error: { status: 401, message: 'Invalid access token' } });
+    }
+    next();
+  });
+  api.get('/me', (req, res) => res.json({ id: 'mock-dj', display_name: 'DJ Mock' }));
+  api.get('/me/playlists', (req, res) => res.json({
+    items: [
+      { id: 'mockplaylist01', name: 'Festa', collaborative: false, owner: { id: 'mock-dj' }, images: [], tracks: { total: 0 } },
+      { id: 'otherplaylist1', name: 'De outra pessoa', collaborative: false, owner: { id: 'someone' }, images: [], tracks: { total: 3 } }
+    ]
+  }));
+  api.post('/playlists/:playlistId/tracks', (req, res) => res.status(201).json({ snapshot_id: `snapshot-${calls.length}` }));
+  api.post('/me/player/queue', (req, res) => res.status(204).end());
+  app.use('/v1', api);
+
+  function failNext(method, path, status, { body = { error: { status } }, headers = {} } = {}) {
+    failures.push({ method, path, status, body, headers });
+  }
+
+  function start(port = 0) {
+    return new Promise(resolve => {
+      server = app.listen(port, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+    });
+  }
+
+  function close() {
+    return new Promise(resolve => (server ? server.close(resolve) : resolve()));
+  }
+
+  return { calls, failNext, start, close };
+}
+
+module.exports = { createSpotifyMock };
+
+if (require.main === module) {
+  const port = Number(process.env.SPOTIFY_MOCK_PORT) || 5099;
+  createSpotifyMock().start(port).then(url => {
+    console.log(`Spotify mock running on ${url}`);
+  });
+}
@@ -0,0 +1,106 @@
+const { normalizeText } = require('./text');
+
+const DEFAULT_MODERATION = {
+  // Com true, toda mensagem espera o DJ aprovar antes de aparecer na fila pública
+  requireApproval: false,
+  // Lista padrão de palavrões (mais BLOCKED_TERMS do servidor); os termos do evento valem sempre
+  filterProfanity: true,
+  blockedTerms: []
+};
+
+const MESSAGE_STATUSES = ['pending', 'approved', 'hidden'];
+const MAX_BLOCKED_TERMS = 500;
+const MAX_TERM_LENGTH = 50;
+
+// Palavrões comuns em português, inglês e espanhol
+const PROFANITY = [
+  'porra', 'caralho', 'merda', 'puta', 'puto', 'putaria', 'buceta', 'cacete', 'foda', 'fodase', 'foda se',
+  'fdp', 'vsf', 'vtnc', 'arrombado', 'arrombada', 'viado', 'corno', 'cuzao', 'babaca',
+  'fuck', 'fucking', 'fucker', 'motherfucker', 'shit', 'bitch', 'cunt', 'asshole', 'pussy', 'bastard',
+  'mierda', 'joder', 'cabron', 'pendejo', 'gilipollas', 'hijo de puta', 'verga', 'culero'
+];
+
+// Troca números e símbolos usados para disfarçar palavrões ("m3rd@") antes de normalizar
+const LOOKALIKES = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's' };
+
+function normalizeTerm(term) {
+  return normalizeText(String(term || '').replace(/[013457@$]/g, char => LOOKALIKES[char]));
+}
+
+// BLOCKED_TERMS=termo1,termo2 soma termos à lista padrão em todos os eventos
+function serverBlockedTerms(env = process.env) {
+  return (env.BLOCKED_TERMS || '').split(',').map(normalizeTerm).filter(Boolean);
+}
+
+const PROFANITY_TERMS = [...PROFANITY.map(normalizeTerm), ...serverBlockedTerms()];
+
+function getModeration(event) {
+  return { ...DEFAULT_MODERATION, ...(event.moderation || {}) };
+}
+
+// Valida um PATCH parcial; retorna { moderation } ou { error, params } com a chave da mensagem
+function parseModeration(input, current = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'moderation.invalid' };
+  }
+
+  const moderation = { ...getModeration({ moderation: current }) };
+  for (const [key, value] of Object.entries(input)) {
+    if (!(key in DEFAULT_MODERATION)) {
+      return { error: 'moderation.unknown', params: { key } };
+    }
+    if (key === 'blockedTerms') {
+      const valid = Array.isArray(value) && value.length <= MAX_BLOCKED_TERMS &&
+        value.every(term => typeof term === 'string' && term.trim() && term.length <= MAX_TERM_LENGTH);
+      if (!valid) {
+        return { error: 'moderation.invalidTerms', params: { max: MAX_BLOCKED_TERMS, maxLength: MAX_TERM_LENGTH } };
+      }
+      moderation.blockedTerms = [...new Set(value.map(term => term.trim()))];
+    } else if (typeof value !== 'boolean') {
+      return { error: 'moderation.mustBeBoolean', params: { key } };
+    } else {
+      moderation[key] = value;
+    }
+  }
+  return { moderation };
+}
+
+// Só termos inteiros: "cu" não pega "cuidado"
+function containsTerm(text, term) {
+  return ` ${text} `.includes(` ${term} `);
+}
+
+function findBlockedTerms(event, texts) {
+  const moderation = getModeration(event);
+  const terms = [
+    ...(moderation.filterProfanity ? PROFANITY_TERMS : []),
+    ...moderation.blockedTerms.map(normalizeTerm)
+  ].filter(Boolean);
+
+  const normalized = texts.filter(Boolean).map(normalizeTerm);
+  // Letras soltas ("p o r r a") são juntadas numa palavra
+  const joined = normalized.map(text => text.replace(/\b(\w) (?=\w\b)/g, '$1'));
+  return [...new Set(terms.filter(term => [...normalized, ...joined].some(text => containsTerm(text, term))))];
+}
+
+// Status inicial do nome e da mensagem de quem pediu: com termo bloqueado fica escondido
+// (flagged) até o DJ liberar; sem, depende de requireApproval
+function moderateRequester(event, { name, message }) {
+  const blocked = findBlockedTerms(event, [name, message]);
+  if (blocked.length > 0) {
+    return { messageStatus: 'hidden', flagged: true };
+  }
+  return {
+    messageStatus: getModeration(event).requireApproval && message ? 'pending' : 'approved',
+    flagged: false
+  };
+}
+
+module.exports = {
+  DEFAULT_MODERATION,
+  MESSAGE_STATUSES,
+  getModeration,
+  parseModeration,
+  findBlockedTerms,
+  moderateRequester
+};
@@ -0,0 +1,110 @@
+const { trackKey } = require('./trackIdentity');
+
+const DEFAULT_REQUEST_LIMITS = {
+  maxPendingPerGuest: 3,
+  // Desligado por padrão: em festa muita gente sai pelo mesmo IP do Wi-Fi
+  maxPendingPerIp: null,
+  cooldownSeconds: 30,
+  blockRepeatedTracks: true,
+  maxTextLength: 100,
+  // Dedicatória ou recado junto do pedido ("é meu aniversário", "para a mesa 7")
+  maxMessageLength: 140
+};
+
+// Pedidos com esses status não podem ser pedidos de novo no mesmo evento
+const BLOCKED_STATUSES = ['rejected', 'now_playing', 'played'];
+
+const BLOCKED_MESSAGES = {
+  rejected: 'limits.alreadyRejected',
+  now_playing: 'limits.nowPlaying',
+  played: 'limits.alreadyPlayed'
+};
+
+function getRequestLimits(event) {
+  return { ...DEFAULT_REQUEST_LIMITS, ...(event.requestLimits || {}) };
+}
+
+// Valida um PATCH parcial; retorna { limits } ou { error, params } com a chave da mensagem
+function parseRequestLimits(input, current = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'limits.invalid' };
+  }
+
+  const limits = { ...current };
+  for (const [key, value] of Object.entries(input)) {
+    if (!(key in DEFAULT_REQUEST_LIMITS)) {
+      return { error: 'limits.unknown', params: { key } };
+    }
+    if (key === 'blockRepeatedTracks') {
+      if (typeof value !== 'boolean') return { error: 'limits.mustBeBoolean', params: { key } };
+    } else if (value !== null && (!Number.isInteger(value) || value < 0)) {
+      return { error: 'limits.mustBePositiveInteger', params: { key } };
+    }
+    limits[key] = value;
+  }
+  return { limits };
+}
+
+function isFromGuest(request, guestId) {
+  return (request.requesters || []).some(r => r.guestId === guestId);
+}
+
+function isFromIp(request, ip) {
+  return (request.requesters || []).some(r => r.ip === ip);
+}
+
+function lastRequestedAt(requests, guestId) {
+  return requests.reduce((latest, request) => {
+    const own = (request.requesters || []).filter(r => r.guestId === guestId);
+    return Math.max(latest, ...own.map(r => r.requestedAt));
+  }, 0);
+}
+
+// Retorna null se o pedido pode passar, ou { status, message, params } explicando o bloqueio
+// (message é a chave de tradução)
+function checkRequestLimits({ event, eventRequests, guestId, ip, track, texts, message = null, now = Date.now() }) {
+  const limits = getRequestLimits(event);
+
+  if (limits.maxTextLength !== null && texts.some(text => String(text || '').length > limits.maxTextLength)) {
+    return { status: 400, message: 'limits.textTooLong', params: { max: limits.maxTextLength } };
+  }
+  if (limits.maxMessageLength !== null && message && message.length > limits.maxMessageLength) {
+    return { status: 400, message: 'limits.messageTooLong', params: { max: limits.maxMessageLength } };
+  }
+
+  if (limits.blockRepeatedTracks) {
+    const key = trackKey(track);
+    const blocked = eventRequests.find(r => BLOCKED_STATUSES.includes(r.status) && trackKey(r) === key);
+    if (blocked) {
+      return { status: 409, message: BLOCKED_MESSAGES[blocked.status], params: {} };
+    }
+  }
+
+  if (limits.cooldownSeconds) {
+    const waitMs = lastRequestedAt(eventRequests, guestId) + limits.cooldownSeconds * 1000 - now;
+    if (waitMs > 0) {
+      return { status: 429, message: 'limits.cooldown', params: { seconds: Math.ceil(waitMs / 1000) } };
+    }
+  }
+
+  const pending = eventRequests.filter(r => r.status === 'pending');
+
+  if (limits.maxPendingPerGuest !== null &&
+      pending.filter(r => isFromGuest(r, guestId)).length >= limits.maxPendingPerGuest) {
+    return { status: 429, message: 'limits.maxPendingPerGuest', params: { max: limits.maxPendingPerGuest } };
+  }
+
+  if (limits.maxPendingPerIp !== null &&
+      pending.filter(r => isFromIp(r, ip)).length >= limits.maxPendingPerIp) {
+    return { status: 429, message: 'limits.maxPendingPerIp', params: {} };
+  }
+
+  return null;
+}
+
+module.exports = {
+  DEFAULT_REQUEST_LIMITS,
+  getRequestLimits,
+  parseRequestLimits,
+  checkRequestLimits
+};
@@ -0,0 +1,63 @@
+const { LATER_STATUSES } = require('./requests');
+
+// Ciclo de vida: pending → accepted/rejected/later → now_playing → played.
+// O DJ pode desfazer uma recusa e reagendar, mas "played" é final.
+const STATUS_TRANSITIONS = {
+  pending: ['accepted', 'rejected', 'now_playing', ...LATER_STATUSES],
+  accepted: ['rejected', 'now_playing', ...LATER_STATUSES],
+  rejected: ['pending', 'accepted'],
+  now_playing: ['played', 'accepted'],
+  played: []
+};
+LATER_STATUSES.forEach(status => {
+  STATUS_TRANSITIONS[status] = ['pending', 'accepted', 'rejected', 'now_playing', ...LATER_STATUSES.filter(s => s !== status)];
+});
+
+// Quando a janela de cada "mais tarde" abre, em minutos a partir da resposta do DJ
+const LATER_WINDOWS = {
+  later_5_15: { startMinutes: 5, endMinutes: 15 },
+  later_15_30: { startMinutes: 15, endMinutes: 30 },
+  later_30_plus: { startMinutes: 30, endMinutes: null }
+};
+
+function canTransition(from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+// Muda o status registrando o histórico; quem chama garante que a transição é válida
+function applyTransition(request, to, { by = null, at = Date.now() } = {}) {
+  const from = request.status;
+  request.status = to;
+  request.statusHistory = [...(request.statusHistory || []), { from, to, at, by }];
+  if (from === 'pending' && !request.respondedAt) request.respondedAt = at;
+  if (to === 'now_playing') request.playingAt = at;
+  if (to === 'played') request.playedAt = at;
+
+  if (LATER_WINDOWS[to]) {
+    request.laterDueAt = at + LATER_WINDOWS[to].startMinutes * 60 * 1000;
+    request.laterReminderSentAt = null;
+  } else {
+    request.laterDueAt = null;
+    request.laterReminderSentAt = null;
+  }
+  return request;
+}
+
+// Pedidos "mais tarde" gravados antes do agendador não têm laterDueAt; calculamos pela resposta
+function getLaterDueAt(request) {
+  const window = LATER_WINDOWS[request.status];
+  if (!window) return null;
+  if (request.laterDueAt) return request.laterDueAt;
+  const history = request.statusHistory || [];
+  const last = history[history.length - 1];
+  const since = (last && last.to === request.status && last.at) || request.respondedAt || request.requestedAt;
+  return since + window.startMinutes * 60 * 1000;
+}
+
+module.exports = {
+  STATUS_TRANSITIONS,
+  LATER_WINDOWS,
+  canTransition,
+  applyTransition,
+  getLaterDueAt
+};
@@ -0,0 +1,91 @@
+const LATER_STATUSES = ['later_5_15', 'later_15_30', 'later_30_plus'];
+const REQUEST_STATUSES = ['pending', 'accepted', 'rejected', ...LATER_STATUSES, 'now_playing', 'played'];
+
+// Pedidos que ainda podem receber votos: pedidos repetidos da mesma música caem aqui
+const OPEN_STATUSES = ['pending', 'accepted', ...LATER_STATUSES];
+
+// Pedidos antigos guardavam só spotifyUri; os novos usam trackUri com prefixo do provedor
+function getTrackUri(request) {
+  return request.trackUri || request.spotifyUri || null;
+}
+
+function getVotes(request) {
+  return request.votes || 1;
+}
+
+function hasVoted(request, guestId) {
+  return (request.voters || []).includes(guestId);
+}
+
+function addVote(request, guestId) {
+  if (hasVoted(request, guestId)) return false;
+  request.voters = [...(request.voters || []), guestId];
+  request.votes = request.voters.length;
+  return true;
+}
+
+function removeVote(request, guestId) {
+  if (!hasVoted(request, guestId)) return false;
+  request.voters = request.voters.filter(id => id !== guestId);
+  request.votes = Math.max(request.voters.length, 1);
+  return true;
+}
+
+// Dedicatórias que podem aparecer em público: só as que passaram pela moderação
+function getDedications(request) {
+  return (request.requesters || [])
+    .filter(r => r.message && r.messageStatus === 'approved')
+    .map(r => ({ name: r.name, message: r.message }));
+}
+
+// O que outros convidados podem ver: sem ids de quem pediu/votou, e nomes só nas dedicatórias aprovadas
+function publicRequest(request, guestId = null) {
+  return {
+    id: request.id,
+    eventId: request.eventId,
+    trackName: request.trackName,
+    artistName: request.artistName,
+    albumImage: request.albumImage,
+    status: request.status,
+    votes: getVotes(request),
+    hasVoted: guestId ? hasVoted(request, guestId) : false,
+    dedications: getDedications(request),
+    requestedAt: request.requestedAt
+  };
+}
+
+// O que o próprio convidado recebe sobre o pedido dele. A sala do pedido também junta quem
+// votou, então nome e recado só vão pelas dedicatórias aprovadas, e o histórico vai sem
+// quem mudou o status (o id do DJ)
+function guestRequest(request) {
+  const { voters, requesters, requesterName, message, statusHistory, ...rest } = request;
+  return {
+    ...rest,
+    votes: getVotes(request),
+    dedications: getDedications(request),
+    statusHistory: (statusHistory || []).map(({ to, at }) => ({ status: to, at }))
+  };
+}
+
+// O que vai para o DJ: o pedido inteiro, menos o IP de quem pediu, que serve só para os limites
+function djRequest(request) {
+  const { ip, ...rest } = request;
+  return {
+    ...rest,
+    requesters: (request.requesters || []).map(({ ip: requesterIp, ...requester }) => requester)
+  };
+}
+
+module.exports = {
+  LATER_STATUSES,
+  REQUEST_STATUSES,
+  OPEN_STATUSES,
+  getTrackUri,
+  getVotes,
+  hasVoted,
+  addVote,
+  removeVote,
+  publicRequest,
+  guestRequest,
+  djRequest
+};
@@ -0,0 +1,15 @@
+// Todas as respostas da API usam o envelope { success, message, data } que o app já lê.
+// Campos extras (como degraded na busca) vão ao lado de data, sem mudar o formato dele.
+function sendResponse(res, success, message, responseData = null, extra = {}) {
+  res.json({ success, message, data: responseData, ...extra });
+}
+
+function sendError(res, status, message, responseData = null, extra = {}) {
+  res.status(status);
+  sendResponse(res, false, message, responseData, extra);
+}
+
+module.exports = {
+  sendResponse,
+  sendError
+};
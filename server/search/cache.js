@@ -0,0 +1,44 @@
+// Cache LRU com validade: o Map mantém a ordem de inserção, então reinserir a chave a
+// cada leitura deixa a menos usada sempre no começo. Entradas vencidas ficam guardadas
+// até serem despejadas, para servir de reserva quando o provedor falha.
+function createSearchCache({ maxEntries = 500, ttlMs = 10 * 60 * 1000 } = {}) {
+  const entries = new Map();
+  const inFlight = new Map();
+
+  function get(key, { allowStale = false } = {}) {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (!allowStale && entry.expiresAt <= Date.now()) return undefined;
+
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.value;
+  }
+
+  function set(key, value) {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  // Buscas iguais que chegam juntas esperam a mesma chamada ao provedor
+  function coalesce(key, load) {
+    if (!inFlight.has(key)) {
+      const promise = Promise.resolve()
+        .then(load)
+        .finally(() => inFlight.delete(key));
+      inFlight.set(key, promise);
+    }
+    return inFlight.get(key);
+  }
+
+  function clear() {
+    entries.clear();
+  }
+
+  return { get, set, coalesce, clear };
+}
+
+module.exports = { createSearchCache };
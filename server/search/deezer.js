@@ -0,0 +1,51 @@
+const axios = require('axios');
+
+const API_URL = 'https://api.deezer.com';
+
+// A API pública do Deezer não exige chave; gêneros vêm do álbum
+const albumGenresCache = new Map();
+
+async function getAlbumGenres(albumId) {
+  if (!albumGenresCache.has(albumId)) {
+    const response = await axios.get(`${API_URL}/album/${albumId}`);
+    const genres = ((response.data.genres && response.data.genres.data) || []).map(g => g.name);
+    albumGenresCache.set(albumId, genres);
+  }
+  return albumGenresCache.get(albumId);
+}
+
+async function getGenres(uri) {
+  try {
+    const trackId = uri.split(':')[2];
+    const response = await axios.get(`${API_URL}/track/${trackId}`);
+    return response.data.album ? await getAlbumGenres(response.data.album.id) : [];
+  } catch (error) {
+    console.error('Error fetching Deezer genres:', error.message);
+    return [];
+  }
+}
+
+async function search(query) {
+  const response = await axios.get(`${API_URL}/search`, {
+    params: { q: query, limit: 10 }
+  });
+  if (response.data.error) {
+    throw new Error(response.data.error.message);
+  }
+
+  return (response.data.data || []).map(track => ({
+    name: track.title,
+    artist: track.artist ? track.artist.name : '',
+    image: (track.album && (track.album.cover_big || track.album.cover_medium)) || null,
+    uri: `deezer:track:${track.id}`,
+    durationMs: track.duration ? track.duration * 1000 : null,
+    genres: []
+  }));
+}
+
+module.exports = {
+  name: 'deezer',
+  uriPrefix: 'deezer:track:',
+  search,
+  getGenres
+};
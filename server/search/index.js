@@ -0,0 +1,97 @@
+const spotify = require('./spotify');
+const deezer = require('./deezer');
+const itunes = require('./itunes');
+const local = require('./local');
+const { createSearchCache } = require('./cache');
+const { stripAccents } = require('../text');
+
+// Cada provedor implementa search(query, context) e getGenres(uri, context), devolvendo
+// faixas no formato { name, artist, image, uri, durationMs, genres }. O uri leva o
+// prefixo do provedor (spotify:track:..., deezer:track:...), e é ele que vai no pedido.
+const PROVIDERS = { spotify, deezer, itunes, local };
+const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+// Resultados por provedor e busca normalizada ("Evidências " e "evidencias" são a mesma).
+// O acervo local é consultado em memória e não passa pelo cache.
+const searchCache = createSearchCache({
+  maxEntries: Number(process.env.SEARCH_CACHE_SIZE) || 500,
+  ttlMs: (Number(process.env.SEARCH_CACHE_TTL_SECONDS) || 600) * 1000
+});
+
+// Sem acento, minúsculo e com espaços colapsados; pontuação e outros alfabetos ficam,
+// porque mudam o resultado da busca
+function cacheKey(provider, query) {
+  const normalized = stripAccents(query).toLowerCase().replace(/\s+/g, ' ').trim();
+  return `${provider.name}:${normalized}`;
+}
+
+function hasSpotifyCredentials() {
+  return Boolean(process.env.SPOTIFY_CLIENT_ID && process.env.SPOTIFY_CLIENT_SECRET);
+}
+
+// Evento com acervo importado busca no acervo, a não ser que o DJ escolha outro provedor.
+// Sem chaves do Spotify, o acervo também substitui a busca do Spotify, que fica indisponível.
+function getProvider(event) {
+  const hasCatalog = Boolean(event && event.catalogSize);
+  if (event && event.searchProvider) {
+    if (event.searchProvider === 'spotify' && hasCatalog && !hasSpotifyCredentials()) return PROVIDERS.local;
+    return PROVIDERS[event.searchProvider] || PROVIDERS.spotify;
+  }
+  if (hasCatalog) return PROVIDERS.local;
+
+  const name = process.env.SEARCH_PROVIDER || 'spotify';
+  return PROVIDERS[name] || PROVIDERS.spotify;
+}
+
+function getProviderForUri(uri) {
+  if (!uri) return null;
+  return Object.values(PROVIDERS).find(provider => uri.startsWith(provider.uriPrefix)) || null;
+}
+
+function withProvider(tracks, provider) {
+  return tracks.map(track => ({ ...track, provider: provider.name }));
+}
+
+// Devolve { tracks, degraded, unavailable }. Se o provedor falhar (429, fora do ar), responde
+// com o último resultado guardado para a busca, mesmo vencido, ou com lista vazia, e marca
+// degraded para o app avisar que a busca está instável. Provedor sem configuração (Spotify
+// sem chaves) volta vazio com unavailable.
+async function searchTracks(query, { event = null } = {}) {
+  const provider = getProvider(event);
+  if (provider === PROVIDERS.local) {
+    return { tracks: withProvider(await provider.search(query, { event }), provider), degraded: false, unavailable: false };
+  }
+
+  const key = cacheKey(provider, query);
+  const cached = searchCache.get(key);
+  if (cached) return { tracks: cached, degraded: false, unavailable: false };
+
+  try {
+    const tracks = await searchCache.coalesce(key, async () => {
+      const results = withProvider(await provider.search(query, { event }), provider);
+      searchCache.set(key, results);
+      return results;
+    });
+    return { tracks, degraded: false, unavailable: false };
+  } catch (error) {
+    if (error.unavailable) return { tracks: [], degraded: true, unavailable: true };
+    console.error(`Error searching ${provider.name}:`, error.message);
+    return { tracks: searchCache.get(key, { allowStale: true }) || [], degraded: true, unavailable: false };
+  }
+}
+
+async function getTrackGenres(uri, { event = null } = {}) {
+  const provider = getProviderForUri(uri);
+  return provider ? provider.getGenres(uri, { event }) : [];
+}
+
+module.exports = {
+  PROVIDER_NAMES,
+  hasSpotifyCredentials,
+  setCatalogLoader: local.setCatalogLoader,
+  findLocalTrack: local.findTrack,
+  getProvider,
+  getProviderForUri,
+  searchTracks,
+  getTrackGenres
+};
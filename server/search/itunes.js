@@ -0,0 +1,46 @@
+const axios = require('axios');
+
+const API_URL = 'https://itunes.apple.com';
+
+// Loja usada na busca; o catálogo muda por país
+const COUNTRY = process.env.ITUNES_COUNTRY || 'BR';
+
+function toTrack(result) {
+  return {
+    name: result.trackName,
+    artist: result.artistName,
+    // A capa de 100px fica borrada no app; a URL aceita outros tamanhos
+    image: result.artworkUrl100 ? result.artworkUrl100.replace('100x100', '600x600') : null,
+    uri: `itunes:track:${result.trackId}`,
+    durationMs: result.trackTimeMillis || null,
+    genres: result.primaryGenreName ? [result.primaryGenreName] : []
+  };
+}
+
+async function getGenres(uri) {
+  try {
+    const trackId = uri.split(':')[2];
+    const response = await axios.get(`${API_URL}/lookup`, {
+      params: { id: trackId, country: COUNTRY }
+    });
+    const result = response.data.results[0];
+    return result && result.primaryGenreName ? [result.primaryGenreName] : [];
+  } catch (error) {
+    console.error('Error fetching iTunes genres:', error.message);
+    return [];
+  }
+}
+
+async function search(query) {
+  const response = await axios.get(`${API_URL}/search`, {
+    params: { term: query, media: 'music', entity: 'song', limit: 10, country: COUNTRY }
+  });
+  return response.data.results.map(toTrack);
+}
+
+module.exports = {
+  name: 'itunes',
+  uriPrefix: 'itunes:track:',
+  search,
+  getGenres
+};
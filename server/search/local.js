@@ -0,0 +1,84 @@
+const fs = require('fs');
+const { searchCatalog } = require('../catalog');
+
+// Acervo do DJ importado no evento (POST /api/events/:eventId/catalog). Sem acervo no
+// evento, cai na biblioteca em JSON de LOCAL_LIBRARY_FILE:
+// [{ "id": "1", "name": "...", "artist": "...", "genres": ["..."], "durationMs": 210000 }]
+let loadEventCatalog = () => [];
+let library = null;
+
+// Guardamos o acervo de cada evento em memória até ele ser reimportado
+const catalogCache = new Map();
+
+function setCatalogLoader(loader) {
+  loadEventCatalog = loader;
+  catalogCache.clear();
+}
+
+function loadLibrary() {
+  if (library) return library;
+
+  const file = process.env.LOCAL_LIBRARY_FILE;
+  library = [];
+  if (!file) return library;
+
+  try {
+    const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+    library = entries.map((entry, index) => ({
+      id: String(entry.id || index),
+      name: entry.name || entry.title || '',
+      artist: entry.artist || '',
+      album: entry.album || null,
+      genres: entry.genres || (entry.genre ? [entry.genre] : []),
+      durationMs: entry.durationMs || null
+    }));
+  } catch (error) {
+    console.error(`Error loading local library ${file}:`, error.message);
+  }
+  return library;
+}
+
+function getTracks(event) {
+  if (!event || !event.catalogSize) return loadLibrary();
+
+  const cached = catalogCache.get(event.id);
+  if (cached && cached.version === event.catalogImportedAt) return cached.tracks;
+
+  const tracks = loadEventCatalog(event.id);
+  catalogCache.set(event.id, { version: event.catalogImportedAt, tracks });
+  return tracks;
+}
+
+function toTrack(entry) {
+  return {
+    name: entry.name,
+    artist: entry.artist,
+    image: null,
+    uri: `local:track:${entry.id}`,
+    durationMs: entry.durationMs,
+    genres: entry.genres
+  };
+}
+
+function findTrack(uri, event) {
+  const id = uri.split(':')[2];
+  return getTracks(event).find(entry => entry.id === id) || null;
+}
+
+async function getGenres(uri, { event } = {}) {
+  const entry = findTrack(uri, event);
+  return entry ? entry.genres : [];
+}
+
+async function search(query, { event } = {}) {
+  return searchCatalog(getTracks(event), query).map(toTrack);
+}
+
+module.exports = {
+  name: 'local',
+  uriPrefix: 'local:track:',
+  search,
+  getGenres,
+  findTrack,
+  setCatalogLoader
+};
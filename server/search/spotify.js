@@ -0,0 +1,182 @@
+const axios = require('axios');
+
+// Configuráveis para apontar para um mock local do Spotify em testes
+const ACCOUNTS_URL = process.env.SPOTIFY_ACCOUNTS_URL || 'https://accounts.spotify.com';
+const API_URL = process.env.SPOTIFY_API_URL || 'https://api.spotify.com/v1';
+
+// Spotify API Configuration
+let spotifyToken = null;
+let tokenExpiry = null;
+
+async function getSpotifyToken() {
+  const clientId = process.env.SPOTIFY_CLIENT_ID;
+  const clientSecret = process.env.SPOTIFY_CLIENT_SECRET;
+
+  if (!clientId || !clientSecret) {
+    console.warn('Spotify credentials not configured. Spotify search is unavailable.');
+    return null;
+  }
+
+  if (spotifyToken && tokenExpiry && Date.now() < tokenExpiry) {
+    return spotifyToken;
+  }
+
+  try {
+    const response = await axios.post(`${ACCOUNTS_URL}/api/token`,
+      'grant_type=client_credentials', {
+      headers: {
+        'Authorization': 'Basic ' + Buffer.from(clientId + ':' + clientSecret).toString('base64'),
+        'Content-Type': 'application/x-www-form-urlencoded'
+      }
+    });
+
+    spotifyToken = response.data.access_token;
+    tokenExpiry = Date.now() + (response.data.expires_in * 1000);
+    return spotifyToken;
+  } catch (error) {
+    console.error('Error getting Spotify token:', error.message);
+    return null;
+  }
+}
+
+// Com 429 o Spotify manda esperar Retry-After segundos. Esperas curtas são feitas aqui
+// mesmo; nas longas, todas as chamadas falham na hora até o prazo passar, em vez de
+// insistir e prolongar o bloqueio. Sem Retry-After, o intervalo dobra a cada 429.
+const MAX_RETRY_WAIT_MS = 2000;
+const MAX_BACKOFF_MS = 60 * 1000;
+let blockedUntil = 0;
+let backoffMs = 0;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function rateLimitError(waitMs) {
+  const error = new Error(`Spotify rate limit, retry in ${Math.ceil(waitMs / 1000)}s`);
+  error.rateLimited = true;
+  error.retryAfterMs = waitMs;
+  return error;
+}
+
+function parseRetryAfter(value) {
+  if (value === undefined || value === null) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(seconds, 0) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+async function spotifyGet(url, config, attempt = 0) {
+  const wait = blockedUntil - Date.now();
+  if (wait > MAX_RETRY_WAIT_MS) throw rateLimitError(wait);
+  if (wait > 0) await sleep(wait);
+
+  try {
+    const response = await axios.get(url, config);
+    backoffMs = 0;
+    return response;
+  } catch (error) {
+    if (!error.response || error.response.status !== 429) throw error;
+
+    backoffMs = Math.min(Math.max(backoffMs * 2, 1000), MAX_BACKOFF_MS);
+    const retryAfter = parseRetryAfter(error.response.headers['retry-after']);
+    const delay = retryAfter !== null ? retryAfter : backoffMs;
+    blockedUntil = Math.max(blockedUntil, Date.now() + delay);
+
+    if (attempt < 2 && delay <= MAX_RETRY_WAIT_MS) {
+      return spotifyGet(url, config, attempt + 1);
+    }
+    throw rateLimitError(delay);
+  }
+}
+
+// Gêneros de artista mudam pouco, então guardamos em memória enquanto o servidor roda
+const artistGenresCache = new Map();
+
+async function getSpotifyArtistGenres(artistIds, token) {
+  const missing = [...new Set(artistIds)].filter(id => !artistGenresCache.has(id));
+
+  for (let i = 0; i < missing.length; i += 50) {
+    const response = await spotifyGet(`${API_URL}/artists`, {
+      params: { ids: missing.slice(i, i + 50).join(',') },
+      headers: { 'Authorization': 'Bearer ' + token }
+    });
+    response.data.artists.forEach(artist => {
+      if (artist) artistGenresCache.set(artist.id, artist.genres || []);
+    });
+  }
+
+  return [...new Set(artistIds.flatMap(id => artistGenresCache.get(id) || []))];
+}
+
+async function withSpotifyGenres(tracks, token) {
+  try {
+    await getSpotifyArtistGenres(tracks.flatMap(t => t.artists.map(a => a.id)), token);
+  } catch (error) {
+    console.error('Error fetching Spotify genres:', error.message);
+  }
+  return tracks.map(track => ({
+    track,
+    genres: [...new Set(track.artists.flatMap(a => artistGenresCache.get(a.id) || []))]
+  }));
+}
+
+async function getGenres(uri) {
+  const token = await getSpotifyToken();
+  if (!token) return [];
+
+  try {
+    const trackId = uri.split(':')[2];
+    const response = await spotifyGet(`${API_URL}/tracks/${trackId}`, {
+      headers: { 'Authorization': 'Bearer ' + token }
+    });
+    return await getSpotifyArtistGenres(response.data.artists.map(a => a.id), token);
+  } catch (error) {
+    console.error('Error fetching track genres:', error.message);
+    return [];
+  }
+}
+
+async function search(query) {
+  const token = await getSpotifyToken();
+
+  if (!token) {
+    const error = new Error('Spotify token unavailable');
+    // Sem chaves configuradas não adianta tentar de novo: a busca fica indisponível
+    error.unavailable = !(process.env.SPOTIFY_CLIENT_ID && process.env.SPOTIFY_CLIENT_SECRET);
+    throw error;
+  }
+
+  // Falhas sobem para a camada de busca, que responde com cache ou marca o resultado como degradado
+  const response = await spotifyGet(`${API_URL}/search`, {
+    params: {
+      q: query,
+      type: 'track',
+      limit: 10
+    },
+    headers: {
+      'Authorization': 'Bearer ' + token
+    }
+  });
+
+  const tracksWithGenres = await withSpotifyGenres(response.data.tracks.items, token);
+  return tracksWithGenres.map(({ track, genres }) => ({
+    name: track.name,
+    artist: track.artists.map(a => a.name).join(', '),
+    image: track.album.images[0]?.url || null,
+    uri: track.uri,
+    durationMs: track.duration_ms,
+    genres
+  }));
+}
+
+module.exports = {
+  ACCOUNTS_URL,
+  API_URL,
+  name: 'spotify',
+  uriPrefix: 'spotify:track:',
+  search,
+  getGenres,
+  getSpotifyToken,
+  parseRetryAfter
+};
@@ -0,0 +1,303 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { ACCOUNTS_URL, API_URL, parseRetryAfter } = require('./search/spotify');
+const { DEFAULT_LOCALE, translate } = require('./i18n');
+
+const SPOTIFY_SYNC_MODES = ['off', 'playlist', 'queue'];
+const DEFAULT_SPOTIFY_SYNC = { mode: 'off', playlistId: null };
+// Pedido que vai direto de pending para now_playing também precisa chegar ao Spotify
+const SYNC_REQUEST_STATUSES = ['accepted', 'now_playing'];
+
+const SCOPES = [
+  'playlist-read-private',
+  'playlist-modify-public',
+  'playlist-modify-private',
+  'user-modify-playback-state'
+].join(' ');
+
+const STATE_TTL = 10 * 60 * 1000;
+// Renova o access token um pouco antes de vencer, para não falhar no meio de uma chamada
+const REFRESH_MARGIN = 60 * 1000;
+
+function getSpotifySync(event) {
+  return { ...DEFAULT_SPOTIFY_SYNC, ...((event && event.spotifySync) || {}) };
+}
+
+function shouldSyncRequest(request) {
+  return SYNC_REQUEST_STATUSES.includes(request.status) &&
+    !(request.spotifySync && request.spotifySync.status === 'synced');
+}
+
+// Aceita o id, o URI (spotify:playlist:...) ou o link de compartilhamento da playlist
+function parsePlaylistId(value) {
+  const match = String(value).trim().match(/(?:playlist[:/])?([A-Za-z0-9]{10,40})(?:\?.*)?$/);
+  return match ? match[1] : null;
+}
+
+function parseSpotifySync(input, current) {
+  const settings = { ...getSpotifySync({ spotifySync: current }) };
+
+  if (input.mode !== undefined) {
+    if (!SPOTIFY_SYNC_MODES.includes(input.mode)) {
+      return { error: 'spotify.invalidMode', params: { modes: SPOTIFY_SYNC_MODES.join(', ') } };
+    }
+    settings.mode = input.mode;
+  }
+  if (input.playlistId !== undefined) {
+    if (input.playlistId === null || input.playlistId === '') {
+      settings.playlistId = null;
+    } else {
+      const playlistId = typeof input.playlistId === 'string' ? parsePlaylistId(input.playlistId) : null;
+      if (!playlistId) return { error: 'spotify.invalidPlaylist' };
+      settings.playlistId = playlistId;
+    }
+  }
+  if (settings.mode === 'playlist' && !settings.playlistId) {
+    return { error: 'spotify.choosePlaylist' };
+  }
+
+  return { settings };
+}
+
+function publicAccount(account) {
+  if (!account) return { connected: false };
+  return {
+    connected: true,
+    spotifyUserId: account.spotifyUserId,
+    displayName: account.displayName,
+    scope: account.scope,
+    connectedAt: account.connectedAt
+  };
+}
+
+// Motivo da falha como { key, params } para traduzir no idioma de quem vai ler
+function syncFailure(error) {
+  if (error.syncMessage) return { key: error.syncMessage, params: {} };
+
+  const response = error.response;
+  if (!response) return { key: 'spotify.unavailable', params: {} };
+  if (response.status === 429) {
+    const waitMs = parseRetryAfter(response.headers['retry-after']);
+    return waitMs !== null
+      ? { key: 'spotify.rateLimitedFor', params: { seconds: Math.ceil(waitMs / 1000) } }
+      : { key: 'spotify.rateLimited', params: {} };
+  }
+  if (response.status === 401) return { key: 'spotify.authExpired', params: {} };
+  if (response.status === 403) return { key: 'spotify.forbidden', params: {} };
+  if (response.status === 404) {
+    const reason = response.data && response.data.error && response.data.error.reason;
+    return { key: reason === 'NO_ACTIVE_DEVICE' ? 'spotify.noActiveDevice' : 'spotify.playlistNotFound', params: {} };
+  }
+  return { key: 'spotify.syncFailed', params: {} };
+}
+
+function syncError(key) {
+  const error = new Error(translate(DEFAULT_LOCALE, key));
+  error.syncMessage = key;
+  return error;
+}
+
+// Conexão de cada DJ com o Spotify pelo fluxo authorization code. Os tokens ficam na
+// coleção spotifyAccounts (id = id do DJ) e são renovados com o refresh token.
+function createSpotifySync({ storage, onRequestUpdate = () => {} }) {
+  const pendingStates = new Map();
+  const refreshing = new Map();
+
+  function basicAuth() {
+    const credentials = `${process.env.SPOTIFY_CLIENT_ID}:${process.env.SPOTIFY_CLIENT_SECRET}`;
+    return 'Basic ' + Buffer.from(credentials).toString('base64');
+  }
+
+  async function requestToken(params) {
+    const response = await axios.post(`${ACCOUNTS_URL}/api/token`, new URLSearchParams(params).toString(), {
+      headers: {
+        'Authorization': basicAuth(),
+        'Content-Type': 'application/x-www-form-urlencoded'
+      }
+    });
+    return response.data;
+  }
+
+  // O redirectUri precisa ser idêntico na autorização e na troca do code
+  function getAuthorizeUrl(userId, redirectUri) {
+    const now = Date.now();
+    pendingStates.forEach((pending, key) => {
+      if (pending.expiresAt <= now) pendingStates.delete(key);
+    });
+
+    const state = crypto.randomBytes(16).toString('hex');
+    pendingStates.set(state, { userId, redirectUri, expiresAt: now + STATE_TTL });
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: process.env.SPOTIFY_CLIENT_ID,
+      scope: SCOPES,
+      redirect_uri: redirectUri,
+      state
+    });
+    return `${ACCOUNTS_URL}/authorize?${params}`;
+  }
+
+  async function connect(code, state) {
+    const pending = pendingStates.get(state);
+    pendingStates.delete(state);
+    if (!pending || pending.expiresAt <= Date.now()) {
+      throw syncError('spotify.linkExpired');
+    }
+
+    const token = await requestToken({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: pending.redirectUri
+    });
+    const profile = await axios.get(`${API_URL}/me`, {
+      headers: { 'Authorization': 'Bearer ' + token.access_token }
+    });
+
+    const account = {
+      id: pending.userId,
+      userId: pending.userId,
+      spotifyUserId: profile.data.id,
+      displayName: profile.data.display_name || profile.data.id,
+      accessToken: token.access_token,
+      refreshToken: token.refresh_token,
+      expiresAt: Date.now() + token.expires_in * 1000,
+      scope: token.scope || SCOPES,
+      connectedAt: Date.now()
+    };
+
+    if (storage.get('spotifyAccounts', account.id)) storage.update('spotifyAccounts', account);
+    else storage.insert('spotifyAccounts', account);
+    return account;
+  }
+
+  function getAccount(userId) {
+    return userId ? storage.get('spotifyAccounts', userId) : null;
+  }
+
+  function disconnect(userId) {
+    if (getAccount(userId)) storage.remove('spotifyAccounts', userId);
+  }
+
+  async function refreshAccessToken(account) {
+    let token;
+    try {
+      token = await requestToken({ grant_type: 'refresh_token', refresh_token: account.refreshToken });
+    } catch (error) {
+      // invalid_grant: o DJ revogou o acesso no Spotify
+      if (error.response && error.response.status === 400) {
+        throw syncError('spotify.authExpired');
+      }
+      throw error;
+    }
+
+    const updated = {
+      ...account,
+      accessToken: token.access_token,
+      // O Spotify às vezes devolve um refresh token novo; o antigo deixa de valer
+      refreshToken: token.refresh_token || account.refreshToken,
+      expiresAt: Date.now() + token.expires_in * 1000
+    };
+    storage.update('spotifyAccounts', updated);
+    return updated.accessToken;
+  }
+
+  async function getAccessToken(userId) {
+    const account = getAccount(userId);
+    if (!account) throw syncError('spotify.needsAccount');
+    if (account.expiresAt - REFRESH_MARGIN > Date.now()) return account.accessToken;
+
+    if (!refreshing.has(userId)) {
+      refreshing.set(userId, refreshAccessToken(account).finally(() => refreshing.delete(userId)));
+    }
+    return refreshing.get(userId);
+  }
+
+  async function listPlaylists(userId) {
+    const token = await getAccessToken(userId);
+    const account = getAccount(userId);
+    const response = await axios.get(`${API_URL}/me/playlists`, {
+      params: { limit: 50 },
+      headers: { 'Authorization': 'Bearer ' + token }
+    });
+
+    // Só dá para adicionar faixas nas playlists do próprio DJ ou colaborativas
+    return response.data.items
+      .filter(playlist => playlist.collaborative || (playlist.owner && playlist.owner.id === account.spotifyUserId))
+      .map(playlist => ({
+        id: playlist.id,
+        name: playlist.name,
+        image: (playlist.images && playlist.images[0] && playlist.images[0].url) || null,
+        trackCount: playlist.tracks ? playlist.tracks.total : null
+      }));
+  }
+
+  async function sendToSpotify(settings, trackUri, userId) {
+    const headers = { 'Authorization': 'Bearer ' + await getAccessToken(userId) };
+    if (settings.mode === 'playlist') {
+      await axios.post(`${API_URL}/playlists/${settings.playlistId}/tracks`, { uris: [trackUri] }, { headers });
+    } else {
+      await axios.post(`${API_URL}/me/player/queue`, null, { params: { uri: trackUri }, headers });
+    }
+  }
+
+  // Grava o resultado em request.spotifySync: pending → synced | failed | skipped.
+  // Roda fora da resposta HTTP; o DJ vê o resultado pelo request_updated. O motivo fica em
+  // reason (chave) e em message, já traduzida no idioma do evento.
+  async function syncRequest(request, event, userId) {
+    const settings = getSpotifySync(event);
+    if (settings.mode === 'off') return request;
+
+    const trackUri = request.trackUri || request.spotifyUri;
+    const save = (status, failure = null) => {
+      const current = storage.get('requests', request.id);
+      if (!current) return request;
+      current.spotifySync = {
+        status,
+        mode: settings.mode,
+        playlistId: settings.mode === 'playlist' ? settings.playlistId : null,
+        reason: failure ? failure.key : null,
+        message: failure ? translate(event.locale || DEFAULT_LOCALE, failure.key, failure.params) : null,
+        updatedAt: Date.now()
+      };
+      storage.update('requests', current);
+      request.spotifySync = current.spotifySync;
+      onRequestUpdate(current);
+      return current;
+    };
+
+    if (!trackUri || !trackUri.startsWith('spotify:track:')) {
+      return save('skipped', { key: 'spotify.notSpotifyTrack', params: {} });
+    }
+
+    save('pending');
+    try {
+      await sendToSpotify(settings, trackUri, userId);
+      return save('synced');
+    } catch (error) {
+      if (!error.syncMessage) console.error('Error syncing request to Spotify:', error.message);
+      return save('failed', syncFailure(error));
+    }
+  }
+
+  return {
+    getAuthorizeUrl,
+    connect,
+    getAccount,
+    disconnect,
+    listPlaylists,
+    syncRequest
+  };
+}
+
+module.exports = {
+  SPOTIFY_SYNC_MODES,
+  DEFAULT_SPOTIFY_SYNC,
+  SYNC_REQUEST_STATUSES,
+  getSpotifySync,
+  shouldSyncRequest,
+  parseSpotifySync,
+  publicAccount,
+  syncFailure,
+  createSpotifySync
+};
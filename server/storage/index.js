@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+const { COLLECTIONS } = require('./schema');
+const MemoryStorage = require('./memory');
+
+const STORAGE_DRIVERS = ['sqlite', 'memory'];
+
+function createStorage(options = {}) {
+  const driver = options.driver || process.env.STORAGE_DRIVER || 'sqlite';
+
+  if (driver === 'memory') {
+    return new MemoryStorage();
+  }
+
+  if (driver === 'sqlite') {
+    // Carregado sob demanda para o adaptador em memória não depender do módulo nativo
+    const SqliteStorage = require('./sqlite');
+    const filename = options.filename || process.env.DATABASE_FILE || path.join(__dirname, '..', 'data.sqlite');
+    return new SqliteStorage(filename);
+  }
+
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}" (use ${STORAGE_DRIVERS.join(' or ')})`);
+}
+
+// Importa o antigo data.json uma única vez. Se o arquivo estiver corrompido, o servidor
+// não sobe: melhor parar do que começar vazio e perder o histórico.
+function importLegacyJson(storage, file) {
+  if (!fs.existsSync(file)) return false;
+
+  let legacy;
+  try {
+    legacy = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not parse ${file}: ${error.message}. Fix or move the file before starting the server.`);
+  }
+
+  storage.transaction(() => {
+    Object.keys(COLLECTIONS).forEach(collection => {
+      (legacy[collection] || []).forEach(doc => {
+        // Sessões antigas eram identificadas por tokenHash
+        const normalized = doc.id ? { ...doc } : { ...doc, id: doc.tokenHash };
+        // Códigos de evento antigos podiam ter minúsculas; hoje são guardados em maiúsculas
+        if (collection === 'events' && typeof normalized.code === 'string') {
+          normalized.code = normalized.code.trim().toUpperCase();
+        }
+        if (!normalized.id || storage.get(collection, normalized.id)) return;
+        storage.insert(collection, normalized);
+      });
+    });
+  });
+
+  fs.renameSync(file, `${file}.imported-${Date.now()}`);
+  return true;
+}
+
+module.exports = {
+  STORAGE_DRIVERS,
+  createStorage,
+  importLegacyJson
+};
@@ -0,0 +1,70 @@
+const { COLLECTIONS, assertCollection, matchesWhere } = require('./schema');
+
+// Adaptador em memória: mesmo contrato do SQLite, sem persistência. Útil para testes.
+class MemoryStorage {
+  constructor() {
+    this.collections = {};
+    Object.keys(COLLECTIONS).forEach(name => {
+      this.collections[name] = new Map();
+    });
+  }
+
+  get(collection, id) {
+    assertCollection(collection);
+    const doc = this.collections[collection].get(id);
+    return doc ? structuredClone(doc) : null;
+  }
+
+  find(collection, where = {}) {
+    assertCollection(collection);
+    return [...this.collections[collection].values()]
+      .filter(doc => matchesWhere(doc, where))
+      .map(doc => structuredClone(doc));
+  }
+
+  findOne(collection, where = {}) {
+    return this.find(collection, where)[0] || null;
+  }
+
+  count(collection, where = {}) {
+    return this.find(collection, where).length;
+  }
+
+  insert(collection, doc) {
+    assertCollection(collection);
+    if (this.collections[collection].has(doc.id)) {
+      throw new Error(`Duplicate id in ${collection}: ${doc.id}`);
+    }
+    this.collections[collection].set(doc.id, structuredClone(doc));
+    return doc;
+  }
+
+  update(collection, doc) {
+    assertCollection(collection);
+    this.collections[collection].set(doc.id, structuredClone(doc));
+    return doc;
+  }
+
+  remove(collection, id) {
+    assertCollection(collection);
+    this.collections[collection].delete(id);
+  }
+
+  // Sem I/O não há escrita parcial; se fn lançar, restauramos o estado anterior
+  transaction(fn) {
+    const snapshot = {};
+    Object.entries(this.collections).forEach(([name, docs]) => {
+      snapshot[name] = new Map(docs);
+    });
+    try {
+      return fn();
+    } catch (error) {
+      this.collections = snapshot;
+      throw error;
+    }
+  }
+
+  close() {}
+}
+
+module.exports = MemoryStorage;
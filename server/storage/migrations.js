@@ -0,0 +1,66 @@
+// Migrações do SQLite, aplicadas em ordem. A versão atual fica em PRAGMA user_version,
+// então nunca altere uma migração já publicada: adicione uma nova no fim da lista.
+module.exports = [
+  `
+    CREATE TABLE events (
+      id TEXT PRIMARY KEY,
+      owner_id TEXT,
+      code TEXT,
+      active INTEGER,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX idx_events_owner_id ON events (owner_id);
+    CREATE INDEX idx_events_code_active ON events (code, active);
+
+    CREATE TABLE requests (
+      id TEXT PRIMARY KEY,
+      event_id TEXT,
+      status TEXT,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX idx_requests_event_id_status ON requests (event_id, status);
+    CREATE INDEX idx_requests_status ON requests (status);
+
+    CREATE TABLE users (
+      id TEXT PRIMARY KEY,
+      username TEXT UNIQUE,
+      data TEXT NOT NULL
+    );
+
+    CREATE TABLE sessions (
+      id TEXT PRIMARY KEY,
+      user_id TEXT,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX idx_sessions_user_id ON sessions (user_id);
+  `,
+  `
+    CREATE TABLE catalogTracks (
+      id TEXT PRIMARY KEY,
+      event_id TEXT,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX idx_catalog_tracks_event_id ON catalogTracks (event_id);
+  `,
+  `
+    CREATE TABLE spotifyAccounts (
+      id TEXT PRIMARY KEY,
+      user_id TEXT UNIQUE,
+      data TEXT NOT NULL
+    );
+  `,
+  `
+    CREATE TABLE guestSessions (
+      id TEXT PRIMARY KEY,
+      guest_id TEXT,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX idx_guest_sessions_guest_id ON guestSessions (guest_id);
+  `,
+  // Códigos importados do data.json podiam ter minúsculas e o validate só procura em maiúsculas
+  `
+    UPDATE events
+    SET code = UPPER(TRIM(code)), data = json_set(data, '$.code', UPPER(TRIM(code)))
+    WHERE code IS NOT NULL AND code <> UPPER(TRIM(code));
+  `
+];
@@ -0,0 +1,29 @@
+// Cada coleção é guardada como documento JSON; os campos listados aqui viram
+// colunas indexadas no SQLite (e são os únicos que filtram direto no banco).
+const COLLECTIONS = {
+  events: { ownerId: 'owner_id', code: 'code', active: 'active' },
+  requests: { eventId: 'event_id', status: 'status' },
+  users: { username: 'username' },
+  sessions: { userId: 'user_id' },
+  catalogTracks: { eventId: 'event_id' },
+  spotifyAccounts: { userId: 'user_id' },
+  guestSessions: { guestId: 'guest_id' }
+};
+
+function assertCollection(name) {
+  if (!COLLECTIONS[name]) {
+    throw new Error(`Unknown storage collection: ${name}`);
+  }
+}
+
+function matchesWhere(doc, where) {
+  return Object.entries(where).every(([key, value]) =>
+    Array.isArray(value) ? value.includes(doc[key]) : doc[key] === value
+  );
+}
+
+module.exports = {
+  COLLECTIONS,
+  assertCollection,
+  matchesWhere
+};
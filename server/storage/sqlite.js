@@ -0,0 +1,109 @@
+const Database = require('better-sqlite3');
+const { COLLECTIONS, assertCollection, matchesWhere } = require('./schema');
+const migrations = require('./migrations');
+
+function toColumnValue(value) {
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value === undefined ? null : value;
+}
+
+class SqliteStorage {
+  constructor(filename) {
+    this.db = new Database(filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.migrate();
+  }
+
+  migrate() {
+    const current = this.db.pragma('user_version', { simple: true });
+    migrations.slice(current).forEach((sql, index) => {
+      this.db.transaction(() => {
+        this.db.exec(sql);
+        this.db.pragma(`user_version = ${current + index + 1}`);
+      })();
+    });
+  }
+
+  // Separa o filtro entre colunas indexadas (vão pro SQL) e o resto (filtrado no JS)
+  buildQuery(collection, where) {
+    const columns = COLLECTIONS[collection];
+    const clauses = [];
+    const params = [];
+    const rest = {};
+
+    Object.entries(where).forEach(([key, value]) => {
+      if (key === 'id' || columns[key]) {
+        const column = key === 'id' ? 'id' : columns[key];
+        const values = Array.isArray(value) ? value : [value];
+        if (values.length === 0) {
+          clauses.push('0');
+        } else {
+          clauses.push(`${column} IN (${values.map(() => '?').join(', ')})`);
+          params.push(...values.map(toColumnValue));
+        }
+      } else {
+        rest[key] = value;
+      }
+    });
+
+    const sql = `SELECT data FROM ${collection}` + (clauses.length ? ` WHERE ${clauses.join(' AND ')}` : '');
+    return { sql, params, rest };
+  }
+
+  get(collection, id) {
+    assertCollection(collection);
+    const row = this.db.prepare(`SELECT data FROM ${collection} WHERE id = ?`).get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  find(collection, where = {}) {
+    assertCollection(collection);
+    const { sql, params, rest } = this.buildQuery(collection, where);
+    return this.db.prepare(sql).all(...params)
+      .map(row => JSON.parse(row.data))
+      .filter(doc => matchesWhere(doc, rest));
+  }
+
+  findOne(collection, where = {}) {
+    return this.find(collection, where)[0] || null;
+  }
+
+  count(collection, where = {}) {
+    return this.find(collection, where).length;
+  }
+
+  write(collection, doc, verb) {
+    assertCollection(collection);
+    const columns = Object.entries(COLLECTIONS[collection]);
+    const names = ['id', ...columns.map(([, column]) => column), 'data'];
+    const values = [doc.id, ...columns.map(([key]) => toColumnValue(doc[key])), JSON.stringify(doc)];
+    this.db.prepare(
+      `${verb} INTO ${collection} (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`
+    ).run(...values);
+    return doc;
+  }
+
+  insert(collection, doc) {
+    return this.write(collection, doc, 'INSERT');
+  }
+
+  update(collection, doc) {
+    return this.write(collection, doc, 'INSERT OR REPLACE');
+  }
+
+  remove(collection, id) {
+    assertCollection(collection);
+    this.db.prepare(`DELETE FROM ${collection} WHERE id = ?`).run(id);
+  }
+
+  transaction(fn) {
+    return this.db.transaction(fn)();
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqliteStorage;
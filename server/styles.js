@@ -0,0 +1,26 @@
+const { normalizeText } = require('./text');
+
+const STYLE_FILTER_MODES = ['flag', 'reject'];
+
+const normalizeStyle = normalizeText;
+
+// true: bate com algum estilo aceito; false: não bate; null: não dá pra saber
+// (sem gêneros do provedor). Evento sem estilos configurados aceita tudo.
+function matchesAcceptedStyles(genres, acceptedStyles) {
+  const styles = (acceptedStyles || []).map(normalizeStyle).filter(Boolean);
+  if (styles.length === 0) return true;
+
+  const normalizedGenres = (genres || []).map(normalizeStyle).filter(Boolean);
+  if (normalizedGenres.length === 0) return null;
+
+  // "sertanejo" aceita "sertanejo universitario", "funk" aceita "funk carioca"
+  return normalizedGenres.some(genre =>
+    styles.some(style => genre.includes(style) || style.includes(genre))
+  );
+}
+
+module.exports = {
+  STYLE_FILTER_MODES,
+  normalizeStyle,
+  matchesAcceptedStyles
+};
@@ -0,0 +1,180 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSpotifyMock } = require('../mocks/spotifyMock');
+const MemoryStorage = require('../storage/memory');
+
+const REDIRECT_URI = 'http://localhost:5000/api/spotify/callback';
+const TRACK_URI = 'spotify:track:4uLU6hMCjMI75M1A2tKUQC';
+
+let mock;
+let spotifySync;
+
+before(async () => {
+  mock = createSpotifyMock();
+  const url = await mock.start();
+  process.env.SPOTIFY_ACCOUNTS_URL = url;
+  process.env.SPOTIFY_API_URL = `${url}/v1`;
+  process.env.SPOTIFY_CLIENT_ID = 'test-client';
+  process.env.SPOTIFY_CLIENT_SECRET = 'test-secret';
+  // As URLs do Spotify são lidas quando o módulo carrega
+  spotifySync = require('../spotifySync');
+});
+
+after(() => mock.close());
+
+// DJ com a conta conectada pelo fluxo completo e um pedido aceito no evento
+async function setup(spotifySyncSettings = { mode: 'playlist', playlistId: 'mockplaylist01' }) {
+  const storage = new MemoryStorage();
+  const updates = [];
+  const sync = spotifySync.createSpotifySync({ storage, onRequestUpdate: request => updates.push(request) });
+
+  const state = new URL(sync.getAuthorizeUrl('dj-1', REDIRECT_URI)).searchParams.get('state');
+  const account = await sync.connect('auth-code', state);
+
+  const event = { id: 'event-1', ownerId: 'dj-1', locale: 'en', spotifySync: spotifySyncSettings };
+  const request = { id: 'request-1', eventId: event.id, trackUri: TRACK_URI, status: 'accepted' };
+  storage.insert('requests', request);
+  mock.calls.length = 0;
+
+  return { storage, sync, account, event, request, updates };
+}
+
+function callsTo(method, path) {
+  return mock.calls.filter(call => call.method === method && call.path === path);
+}
+
+test('conecta a conta do DJ pelo authorization code', async () => {
+  const storage = new MemoryStorage();
+  const sync = spotifySync.createSpotifySync({ storage });
+  const url = new URL(sync.getAuthorizeUrl('dj-1', REDIRECT_URI));
+  const state = url.searchParams.get('state');
+  mock.calls.length = 0;
+
+  await sync.connect('auth-code', state);
+
+  const [tokenCall] = callsTo('POST', '/api/token');
+  assert.equal(tokenCall.body.grant_type, 'authorization_code');
+  assert.equal(tokenCall.body.redirect_uri, REDIRECT_URI);
+  assert.equal(tokenCall.authorization, 'Basic ' + Buffer.from('test-client:test-secret').toString('base64'));
+
+  const account = sync.getAccount('dj-1');
+  assert.equal(account.spotifyUserId, 'mock-dj');
+  assert.match(account.refreshToken, /^refresh-/);
+  assert.ok(account.expiresAt > Date.now());
+
+  // O state vale uma vez só
+  await assert.rejects(sync.connect('auth-code', state), error => error.syncMessage === 'spotify.linkExpired');
+});
+
+test('lista só as playlists em que o DJ pode adicionar faixas', async () => {
+  const { sync } = await setup();
+  const playlists = await sync.listPlaylists('dj-1');
+  assert.deepEqual(playlists.map(playlist => playlist.id), ['mockplaylist01']);
+});
+
+test('adiciona o pedido aceito na playlist do evento', async () => {
+  const { sync, event, request, account, updates } = await setup();
+
+  const synced = await sync.syncRequest(request, event, 'dj-1');
+
+  assert.equal(synced.spotifySync.status, 'synced');
+  const [playlistCall] = callsTo('POST', '/v1/playlists/mockplaylist01/tracks');
+  assert.deepEqual(playlistCall.body.uris, [TRACK_URI]);
+  assert.equal(playlistCall.authorization, `Bearer ${account.accessToken}`);
+  assert.deepEqual(updates.map(update => update.spotifySync.status), ['pending', 'synced']);
+});
+
+test('manda o pedido para a fila do player no modo queue', async () => {
+  const { sync, event, request } = await setup({ mode: 'queue', playlistId: null });
+
+  const synced = await sync.syncRequest(request, event, 'dj-1');
+
+  assert.equal(synced.spotifySync.status, 'synced');
+  const [queueCall] = callsTo('POST', '/v1/me/player/queue');
+  assert.equal(queueCall.query.uri, TRACK_URI);
+});
+
+test('renova o access token vencido antes de sincronizar', async () => {
+  const { storage, sync, event, request, account } = await setup();
+  storage.update('spotifyAccounts', { ...account, expiresAt: Date.now() - 1000 });
+
+  const synced = await sync.syncRequest(request, event, 'dj-1');
+
+  assert.equal(synced.spotifySync.status, 'synced');
+  const [refreshCall] = callsTo('POST', '/api/token');
+  assert.equal(refreshCall.body.grant_type, 'refresh_token');
+  assert.equal(refreshCall.body.refresh_token, account.refreshToken);
+
+  const refreshed = sync.getAccount('dj-1');
+  assert.notEqual(refreshed.accessToken, account.accessToken);
+  // Sem refresh token novo na resposta, o antigo continua valendo
+  assert.equal(refreshed.refreshToken, account.refreshToken);
+  assert.equal(callsTo('POST', '/v1/playlists/mockplaylist01/tracks')[0].authorization, `Bearer ${refreshed.accessToken}`);
+});
+
+test('refresh recusado pelo Spotify pede para conectar de novo', async () => {
+  const { storage, sync, event, request, account } = await setup();
+  storage.update('spotifyAccounts', { ...account, expiresAt: Date.now() - 1000 });
+  mock.failNext('POST', '/api/token', 400, { body: { error: 'invalid_grant' } });
+
+  const synced = await sync.syncRequest(request, event, 'dj-1');
+
+  assert.equal(synced.spotifySync.status, 'failed');
+  assert.equal(synced.spotifySync.reason, 'spotify.authExpired');
+  assert.equal(callsTo('POST', '/v1/playlists/mockplaylist01/tracks').length, 0);
+});
+
+test('401 do Spotify marca a sincronização como autorização vencida', async () => {
+  const { sync, event, request } = await setup();
+  mock.failNext('POST', '/v1/playlists/mockplaylist01/tracks', 401);
+
+  const synced = await sync.syncRequest(request, event, 'dj-1');
+
+  assert.equal(synced.spotifySync.status, 'failed');
+  assert.equal(synced.spotifySync.reason, 'spotify.authExpired');
+});
+
+test('429 do Spotify guarda o tempo de espera do Retry-After', async () => {
+  const { storage, sync, event, request } = await setup();
+  mock.failNext('POST', '/v1/playlists/mockplaylist01/tracks', 429, { headers: { 'Retry-After': '7' } });
+
+  const synced = await sync.syncRequest(request, event, 'dj-1');
+
+  assert.equal(synced.spotifySync.status, 'failed');
+  assert.equal(synced.spotifySync.reason, 'spotify.rateLimitedFor');
+  assert.match(synced.spotifySync.message, /7/);
+  assert.deepEqual(storage.get('requests', request.id).spotifySync, synced.spotifySync);
+});
+
+test('fila sem aparelho tocando vira noActiveDevice', async () => {
+  const { sync, event, request } = await setup({ mode: 'queue', playlistId: null });
+  mock.failNext('POST', '/v1/me/player/queue', 404, {
+    body: { error: { status: 404, message: 'No active device found', reason: 'NO_ACTIVE_DEVICE' } }
+  });
+
+  const synced = await sync.syncRequest(request, event, 'dj-1');
+
+  assert.equal(synced.spotifySync.reason, 'spotify.noActiveDevice');
+});
+
+test('sincroniza ao entrar em accepted ou now_playing, só se ainda não foi', () => {
+  const { shouldSyncRequest } = spotifySync;
+  assert.equal(shouldSyncRequest({ status: 'accepted' }), true);
+  assert.equal(shouldSyncRequest({ status: 'now_playing' }), true);
+  assert.equal(shouldSyncRequest({ status: 'now_playing', spotifySync: { status: 'failed' } }), true);
+  assert.equal(shouldSyncRequest({ status: 'now_playing', spotifySync: { status: 'synced' } }), false);
+  assert.equal(shouldSyncRequest({ status: 'pending' }), false);
+  assert.equal(shouldSyncRequest({ status: 'played' }), false);
+});
+
+test('pedido de outro provedor fica skipped sem chamar o Spotify', async () => {
+  const { storage, sync, event } = await setup();
+  const request = { id: 'deezer-request', eventId: event.id, trackUri: 'deezer:track:1', status: 'accepted' };
+  storage.insert('requests', request);
+
+  const synced = await sync.syncRequest(request, event, 'dj-1');
+
+  assert.equal(synced.spotifySync.status, 'skipped');
+  assert.equal(synced.spotifySync.reason, 'spotify.notSpotifyTrack');
+  assert.equal(mock.calls.length, 0);
+});
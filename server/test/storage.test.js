@@ -0,0 +1,184 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { createStorage, importLegacyJson } = require('../storage');
+const MemoryStorage = require('../storage/memory');
+const SqliteStorage = require('../storage/sqlite');
+const migrations = require('../storage/migrations');
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'musicask-'));
+}
+
+// Os dois adaptadores passam pelos mesmos testes; o SQLite usa um arquivo novo em cada um
+function openStorage(driver, t) {
+  if (driver === 'memory') return createStorage({ driver });
+  const dir = tempDir();
+  const storage = createStorage({ driver, filename: path.join(dir, 'data.sqlite') });
+  t.after(() => {
+    storage.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return storage;
+}
+
+function seed(storage) {
+  storage.insert('requests', { id: 'r1', eventId: 'e1', status: 'pending', trackName: 'A' });
+  storage.insert('requests', { id: 'r2', eventId: 'e1', status: 'accepted', trackName: 'B' });
+  storage.insert('requests', { id: 'r3', eventId: 'e2', status: 'pending', trackName: 'C' });
+  return storage;
+}
+
+test('STORAGE_DRIVER escolhe o adaptador', t => {
+  assert.ok(createStorage({ driver: 'memory' }) instanceof MemoryStorage);
+  assert.ok(openStorage('sqlite', t) instanceof SqliteStorage);
+  assert.throws(() => createStorage({ driver: 'mongo' }), /Unknown STORAGE_DRIVER/);
+});
+
+['memory', 'sqlite'].forEach(driver => {
+  test(`${driver}: find filtra por campo, lista de valores (IN) e combinações`, t => {
+    const storage = seed(openStorage(driver, t));
+
+    assert.deepEqual(storage.find('requests', { eventId: 'e1' }).map(r => r.id).sort(), ['r1', 'r2']);
+    assert.deepEqual(storage.find('requests', { status: ['accepted', 'rejected'] }).map(r => r.id), ['r2']);
+    assert.deepEqual(storage.find('requests', { eventId: 'e1', status: 'pending' }).map(r => r.id), ['r1']);
+    assert.deepEqual(storage.find('requests', { eventId: [] }), []);
+    assert.deepEqual(storage.find('requests', { trackName: 'B' }).map(r => r.id), ['r2']);
+    assert.equal(storage.findOne('requests', { eventId: 'e2' }).trackName, 'C');
+    assert.equal(storage.findOne('requests', { eventId: 'e3' }), null);
+    assert.equal(storage.count('requests', { status: 'pending' }), 2);
+  });
+
+  test(`${driver}: documentos lidos e gravados são cópias`, t => {
+    const storage = seed(openStorage(driver, t));
+    const request = storage.get('requests', 'r1');
+    request.status = 'played';
+    assert.equal(storage.get('requests', 'r1').status, 'pending');
+
+    request.voters = ['g1'];
+    storage.update('requests', request);
+    request.voters.push('g2');
+    assert.deepEqual(storage.get('requests', 'r1').voters, ['g1']);
+  });
+
+  test(`${driver}: insert recusa id repetido; update e remove trocam e apagam o documento`, t => {
+    const storage = seed(openStorage(driver, t));
+    assert.throws(() => storage.insert('requests', { id: 'r1', eventId: 'e9' }));
+
+    storage.update('requests', { ...storage.get('requests', 'r2'), status: 'played' });
+    assert.equal(storage.get('requests', 'r2').status, 'played');
+    assert.deepEqual(storage.find('requests', { status: 'played' }).map(r => r.id), ['r2']);
+
+    storage.remove('requests', 'r3');
+    assert.equal(storage.get('requests', 'r3'), null);
+    assert.equal(storage.count('requests'), 2);
+  });
+
+  test(`${driver}: coleção desconhecida é erro`, t => {
+    const storage = openStorage(driver, t);
+    assert.throws(() => storage.find('playlists'), /Unknown storage collection/);
+  });
+
+  test(`${driver}: transaction desfaz tudo quando a função lança`, t => {
+    const storage = seed(openStorage(driver, t));
+
+    assert.throws(() => storage.transaction(() => {
+      storage.update('requests', { ...storage.get('requests', 'r1'), status: 'accepted' });
+      storage.insert('requests', { id: 'r4', eventId: 'e1', status: 'pending' });
+      throw new Error('falhou no meio');
+    }), /falhou no meio/);
+
+    assert.equal(storage.get('requests', 'r1').status, 'pending');
+    assert.equal(storage.get('requests', 'r4'), null);
+
+    assert.equal(storage.transaction(() => {
+      storage.insert('requests', { id: 'r4', eventId: 'e1', status: 'pending' });
+      return 'ok';
+    }), 'ok');
+    assert.equal(storage.count('requests', { eventId: 'e1' }), 3);
+  });
+});
+
+test('banco novo recebe todas as migrações', t => {
+  const dir = tempDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const storage = new SqliteStorage(path.join(dir, 'data.sqlite'));
+
+  assert.equal(storage.db.pragma('user_version', { simple: true }), migrations.length);
+  const tables = storage.db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map(row => row.name);
+  ['events', 'requests', 'users', 'sessions', 'catalogTracks', 'guestSessions'].forEach(table => {
+    assert.ok(tables.includes(table), table);
+  });
+  storage.close();
+});
+
+test('banco já migrado aplica só as migrações novas, uma vez', t => {
+  const dir = tempDir();
+  const file = path.join(dir, 'data.sqlite');
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  // Banco parado na migração 4, com um código importado antes da normalização
+  const db = new Database(file);
+  migrations.slice(0, 4).forEach(sql => db.exec(sql));
+  db.pragma('user_version = 4');
+  const insert = db.prepare('INSERT INTO events (id, owner_id, code, active, data) VALUES (?, ?, ?, ?, ?)');
+  insert.run('e1', 'u1', ' ab12 ', 1, JSON.stringify({ id: 'e1', ownerId: 'u1', code: ' ab12 ', active: true, name: 'Festa' }));
+  insert.run('e2', 'u1', 'CD34', 1, JSON.stringify({ id: 'e2', ownerId: 'u1', code: 'CD34', active: true, name: 'Outra' }));
+  db.close();
+
+  let storage = new SqliteStorage(file);
+  assert.equal(storage.db.pragma('user_version', { simple: true }), migrations.length);
+  assert.deepEqual(storage.get('events', 'e1'), { id: 'e1', ownerId: 'u1', code: 'AB12', active: true, name: 'Festa' });
+  assert.equal(storage.findOne('events', { code: 'AB12', active: true }).id, 'e1');
+  assert.equal(storage.get('events', 'e2').code, 'CD34');
+
+  // Reabrir não roda nada de novo
+  storage.update('events', { ...storage.get('events', 'e2'), code: 'ef56' });
+  storage.close();
+  storage = new SqliteStorage(file);
+  assert.equal(storage.db.pragma('user_version', { simple: true }), migrations.length);
+  assert.equal(storage.get('events', 'e2').code, 'ef56');
+  storage.close();
+});
+
+test('importa o data.json antigo uma vez e renomeia o arquivo', () => {
+  const dir = tempDir();
+  const file = path.join(dir, 'data.json');
+  fs.writeFileSync(file, JSON.stringify({
+    events: [{ id: 'e1', code: ' ab12 ', active: true }],
+    requests: [{ id: 'r1', eventId: 'e1', status: 'pending' }],
+    sessions: [{ tokenHash: 'hash-1', userId: 'u1' }]
+  }));
+
+  try {
+    const storage = createStorage({ driver: 'memory' });
+    assert.equal(importLegacyJson(storage, file), true);
+
+    assert.equal(storage.get('events', 'e1').code, 'AB12');
+    assert.equal(storage.findOne('events', { code: 'AB12', active: true }).id, 'e1');
+    assert.equal(storage.get('requests', 'r1').eventId, 'e1');
+    assert.equal(storage.get('sessions', 'hash-1').userId, 'u1');
+
+    assert.equal(fs.existsSync(file), false);
+    assert.equal(fs.readdirSync(dir).filter(name => name.startsWith('data.json.imported-')).length, 1);
+    assert.equal(importLegacyJson(storage, file), false);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('data.json corrompido impede a importação', () => {
+  const dir = tempDir();
+  const file = path.join(dir, 'data.json');
+  fs.writeFileSync(file, '{"events": [');
+
+  try {
+    assert.throws(() => importLegacyJson(createStorage({ driver: 'memory' }), file), /Could not parse/);
+    assert.equal(fs.existsSync(file), true);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
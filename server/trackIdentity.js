@@ -0,0 +1,65 @@
+const { getTrackUri } = require('./requests');
+const { normalizeText, stripAccents } = require('./text');
+
+// Versões da mesma música que contam como uma só: "Evidências - Ao Vivo", "Song (2011 Remaster)"
+const VERSION_WORDS = 'remix|mix|live|ao vivo|en vivo|remaster|remastered|remasterizado|version|versao|edit|' +
+  'radio edit|acoustic|acustico|extended|single|mono|stereo';
+const BRACKETED_VERSION = new RegExp(`[(\\[][^)\\]]*\\b(?:${VERSION_WORDS})\\b[^)\\]]*[)\\]]`, 'g');
+const DASH_VERSION = new RegExp(`\\s[-–—]\\s.*\\b(?:${VERSION_WORDS})\\b.*$`);
+
+const FEAT = '(?:feat\\.?|ft\\.?|featuring|part\\.|participacao especial de)';
+const BRACKETED_FEAT = new RegExp(`[(\\[]\\s*${FEAT}\\s+([^)\\]]+)[)\\]]`, 'g');
+const TRAILING_FEAT = new RegExp(`\\s+${FEAT}\\s+(.+)$`);
+const ARTIST_SEPARATORS = new RegExp(`\\s*(?:,|;|&|\\+|/|\\s${FEAT}\\s|\\s(?:e|and|y|x|with|vs\\.?)\\s)\\s*`);
+
+// "Don't" e "Dont" são a mesma coisa
+function simplify(value) {
+  return stripAccents(value).toLowerCase().replace(/['’`]/g, '');
+}
+
+// normalizeText só mantém letras latinas; títulos em outros alfabetos ficam como estão
+function normalizePart(value) {
+  return normalizeText(value) || simplify(value).replace(/\s+/g, ' ').trim();
+}
+
+function splitArtists(value) {
+  return simplify(value).split(ARTIST_SEPARATORS).map(normalizePart).filter(Boolean);
+}
+
+// Título sem versão nem participações; quem participa ("feat. X") entra na lista de artistas
+function parseTitle(trackName) {
+  const featured = [];
+  let title = simplify(trackName)
+    .replace(BRACKETED_FEAT, (match, names) => {
+      featured.push(...splitArtists(names));
+      return ' ';
+    })
+    .replace(TRAILING_FEAT, (match, names) => {
+      featured.push(...splitArtists(names));
+      return '';
+    });
+  title = title.replace(BRACKETED_VERSION, ' ').replace(DASH_VERSION, '');
+
+  return { title: normalizePart(title) || normalizePart(trackName), featured };
+}
+
+// Artistas sem acento, sem caixa e em ordem alfabética: "Xororó, Chitãozinho" = "Chitãozinho & Xororó"
+function artistKey(artistName, featured = []) {
+  return [...new Set([...splitArtists(artistName), ...featured])].sort().join(',');
+}
+
+// Identidade da música para agrupar pedidos: o URI do provedor quando existe, senão título e
+// artistas normalizados
+function trackKey(track) {
+  const uri = getTrackUri(track);
+  if (uri) return uri;
+
+  const { title, featured } = parseTitle(track.trackName);
+  return `${title}|||${artistKey(track.artistName, featured)}`;
+}
+
+module.exports = {
+  parseTitle,
+  artistKey,
+  trackKey
+};
@@ -0,0 +1,92 @@
+const { sendError } = require('./respond');
+
+// Validação simples de body/query. Cada campo do schema aceita:
+// type ('string' | 'number' | 'integer' | 'boolean' | 'array' | 'object'), required, nullable,
+// minLength/maxLength, min/max, enum, pattern, items (schema de um campo) e maxItems.
+// Os erros saem como { key, params } para o middleware traduzir no idioma da requisição.
+function fail(key, field, params = {}) {
+  return { key: `validation.${key}`, params: { field, ...params } };
+}
+
+function checkValue(field, value, rule) {
+  if (value === null) {
+    return rule.nullable ? null : fail('notNull', field);
+  }
+
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') return fail('string', field);
+      if (rule.minLength !== undefined && value.trim().length < rule.minLength) {
+        return fail('minLength', field, { min: rule.minLength });
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return fail('maxLength', field, { max: rule.maxLength });
+      }
+      if (rule.pattern && !rule.pattern.test(value)) return fail('pattern', field);
+      break;
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return fail('number', field);
+      if (rule.type === 'integer' && !Number.isInteger(value)) return fail('integer', field);
+      if (rule.min !== undefined && value < rule.min) return fail('min', field, { min: rule.min });
+      if (rule.max !== undefined && value > rule.max) return fail('max', field, { max: rule.max });
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return fail('boolean', field);
+      break;
+    case 'array':
+      if (!Array.isArray(value)) return fail('array', field);
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        return fail('maxItems', field, { max: rule.maxItems });
+      }
+      if (rule.items) {
+        for (let i = 0; i < value.length; i++) {
+          const error = checkValue(`${field}[${i}]`, value[i], rule.items);
+          if (error) return error;
+        }
+      }
+      break;
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) return fail('object', field);
+      break;
+    default:
+      break;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return fail('enum', field, { values: rule.enum.join(', ') });
+  }
+
+  return null;
+}
+
+function checkSchema(source, schema) {
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = source[field];
+    if (value === undefined || value === '') {
+      if (rule.required) return fail('required', field);
+      continue;
+    }
+    const error = checkValue(field, value, rule);
+    if (error) return error;
+  }
+  return null;
+}
+
+// Middleware: validate({ body: {...}, query: {...} }) responde 400 no primeiro erro
+function validate(schemas) {
+  return (req, res, next) => {
+    for (const part of ['params', 'query', 'body']) {
+      if (!schemas[part]) continue;
+      const error = checkSchema(req[part] || {}, schemas[part]);
+      if (error) return sendError(res, 400, req.t(error.key, error.params));
+    }
+    next();
+  };
+}
+
+module.exports = {
+  checkValue,
+  checkSchema,
+  validate
+};